@@ -17,13 +17,13 @@
  * -----------------------
  * 1. Fetches the latest release from any GitHub repository
  * 2. Extracts key information (version, changes, highlights)
- * 3. Formats a professional video script
+ * 3. Formats a professional video script with vloex.scripts.fromReleaseNotes()
  * 4. Generates a video using VLOEX
  * 5. Polls for completion and returns the video URL
  *
  * Requirements:
  * -------------
- * npm install vloex node-fetch
+ * npm install @vloex/sdk node-fetch
  *
  * Get your API key from: https://vloex.com/dashboard/api-keys
  */
@@ -51,46 +51,6 @@ async function fetchLatestRelease(repoOwner, repoName) {
   return response.json();
 }
 
-/**
- * Extract key changes from release notes.
- *
- * @param {string} releaseBody - Raw release notes from GitHub
- * @param {number} maxItems - Maximum number of changes to include
- * @returns {string[]} List of change descriptions
- */
-function extractReleaseHighlights(releaseBody, maxItems = 5) {
-  // Extract bullet points (lines starting with '- ')
-  const changes = releaseBody
-    .split('\n')
-    .filter(line => line.trim().startsWith('- '))
-    .map(line => line.slice(2).trim())  // Remove '- ' prefix
-    .slice(0, maxItems);
-
-  return changes;
-}
-
-/**
- * Format a professional script for the release video.
- *
- * @param {string} version - Release version (e.g., 'v15.5.4')
- * @param {string[]} changes - List of key changes
- * @param {string} repoName - Repository name
- * @returns {string} Formatted video script
- */
-function createReleaseScript(version, changes, repoName) {
-  let script = `${repoName} ${version} has been released!\n\n`;
-
-  if (changes.length > 0) {
-    script += 'This release includes important updates:\n\n';
-    script += changes.join('\n');
-    script += '\n\n';
-  }
-
-  script += 'Check out the full release notes on GitHub!';
-
-  return script.trim();
-}
-
 /**
  * Complete workflow: Fetch release → Generate video → Return URL
  *
@@ -101,8 +61,8 @@ function createReleaseScript(version, changes, repoName) {
  */
 async function generateReleaseVideo(apiKey, repoOwner, repoName) {
   // Step 1: Initialize VLOEX SDK
-  const vloexInit = require('vloex').default || require('vloex');
-  const vloex = vloexInit(apiKey);
+  const Vloex = require('@vloex/sdk');
+  const vloex = new Vloex(apiKey);
 
   // Step 2: Fetch latest release from GitHub
   const release = await fetchLatestRelease(repoOwner, repoName);
@@ -113,13 +73,18 @@ async function generateReleaseVideo(apiKey, repoOwner, repoName) {
   console.log(`📦 Found: ${version}`);
   console.log(`📝 Published: ${publishedDate}`);
 
-  // Step 3: Extract and format key changes
-  const changes = extractReleaseHighlights(release.body);
-  const script = createReleaseScript(version, changes, repoName);
+  // Step 3: Turn the release notes into a narrated script
+  // (headings, bullet/numbered lists, Conventional Commits and Keep a Changelog are all understood)
+  const script = vloex.scripts.fromReleaseNotes(release.body, {
+    product: repoName,
+    version,
+    maxItems: 5,
+    tone: 'professional'
+  });
 
   console.log('\n📄 Video Script:');
   console.log('─'.repeat(60));
-  console.log(script);
+  console.log(script.toString());
   console.log('─'.repeat(60));
 
   // Step 4: Create video job
@@ -230,7 +195,5 @@ if (require.main === module) {
 // Export functions for use as a module
 module.exports = {
   fetchLatestRelease,
-  extractReleaseHighlights,
-  createReleaseScript,
   generateReleaseVideo
 };
@@ -14,14 +14,13 @@
  *
  * Requirements:
  * -------------
- * npm install vloex express axios crypto
+ * npm install @vloex/sdk express axios
  *
  * Get your API key from: https://vloex.com/dashboard/api-keys
  */
 
 const axios = require('axios');
 const express = require('express');
-const crypto = require('crypto');
 
 // ============================================================================
 // Part 1: Video Generation with Webhook
@@ -62,8 +61,8 @@ async function generateReleaseVideoWithWebhook(apiKey, repoOwner, repoName, webh
   `;
 
   // Initialize VLOEX client
-  const vloexInit = require('vloex').default || require('vloex');
-  const vloex = vloexInit(apiKey);
+  const Vloex = require('@vloex/sdk');
+  const vloex = new Vloex(apiKey);
 
   // Create video with webhook (no need to wait!)
   const video = await vloex.videos.create({
@@ -84,94 +83,39 @@ async function generateReleaseVideoWithWebhook(apiKey, repoOwner, repoName, webh
 // ============================================================================
 
 const app = express();
-app.use(express.json());
 
 // Store your webhook secret (same as used in generateVideo call)
 const WEBHOOK_SECRET = process.env.VLOEX_WEBHOOK_SECRET || 'my_secret_key_123';
 
-function verifyWebhookSignature(payloadJson, signature, timestamp, secret) {
-  /**
-   * Verify HMAC signature from VLOEX webhook.
-   * This prevents unauthorized webhook calls and replay attacks.
-   */
-
-  // Check timestamp is not too old (prevent replay attacks)
-  const currentTime = Math.floor(Date.now() / 1000);
-  if (Math.abs(currentTime - parseInt(timestamp)) > 300) {  // 5 minutes tolerance
-    return false;
-  }
-
-  // Reconstruct the signed message
-  const message = `${timestamp}.${payloadJson}`;
-
-  // Calculate expected signature
-  const expectedSignature = crypto
-    .createHmac('sha256', secret)
-    .update(message)
-    .digest('hex');
-
-  // Extract provided signature
-  const providedSignature = signature.split('=')[1] || signature;
-
-  // Compare signatures (constant-time comparison prevents timing attacks)
-  try {
-    return crypto.timingSafeEqual(
-      Buffer.from(expectedSignature),
-      Buffer.from(providedSignature)
-    );
-  } catch (e) {
-    return false;
-  }
-}
-
-app.post('/api/vloex-webhook', (req, res) => {
-  /**
-   * Handle incoming VLOEX webhooks.
-   * This endpoint receives notifications when videos are completed.
-   */
-
-  // Get headers
-  const signature = req.headers['x-vloex-signature'] || '';
-  const timestamp = req.headers['x-vloex-timestamp'] || '';
-
-  // Get payload as JSON string for signature verification
-  const payloadJson = JSON.stringify(req.body);
-
-  // Verify signature (if secret was provided)
-  if (WEBHOOK_SECRET && signature) {
-    if (!verifyWebhookSignature(payloadJson, signature, timestamp, WEBHOOK_SECRET)) {
-      console.error('❌ Invalid webhook signature!');
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-  }
-
-  // Handle different webhook events
-  const { event, job_id, video_url, error } = req.body;
-
-  if (event === 'video.completed') {
-    console.log(`✅ Video ${job_id} completed!`);
-    console.log(`📹 Video URL: ${video_url}`);
+// The SDK middleware reads the raw body (so the HMAC check sees exactly what was
+// signed), rejects bad signatures and replays with 400, and acknowledges duplicate
+// deliveries without running your handlers twice.
+const Vloex = require('@vloex/sdk');
+const webhooks = new Vloex({ apiKey: process.env.VLOEX_API_KEY || 'unused-for-webhooks' })
+  .webhooks.middleware({ secret: WEBHOOK_SECRET })
+  .on('video.completed', async event => {
+    console.log(`✅ Video ${event.data.id} completed!`);
+    console.log(`📹 Video URL: ${event.data.url}`);
 
     // TODO: Process the completed video
     // - Upload to CDN
     // - Send email notification
     // - Update database
     // - Trigger next step in pipeline
-
-  } else if (event === 'video.failed') {
-    console.log(`❌ Video ${job_id} failed!`);
-    console.log(`🔴 Error: ${error}`);
+  })
+  .on('video.failed', async event => {
+    console.log(`❌ Video ${event.data.id} failed!`);
+    console.log(`🔴 Error: ${event.data.error}`);
 
     // TODO: Handle failure
     // - Retry with different options
     // - Send error notification
     // - Log to error tracking
-  }
+  });
 
-  // Always return 200 to acknowledge receipt
-  // (Prevents VLOEX from retrying)
-  res.status(200).json({ status: 'received' });
-});
+// Mount before any express.json() so the body isn't parsed first.
+// A handler that throws makes the middleware answer 500, and VLOEX redelivers.
+app.post('/api/vloex-webhook', webhooks);
 
 // ============================================================================
 // Part 3: Python Flask Webhook Receiver (Alternative)
@@ -296,7 +240,7 @@ async function exampleNgrokLocalTesting() {
  *
  * 1. ✅ Verify webhook signatures (use webhookSecret)
  * 2. ✅ Return 200 OK quickly (process async)
- * 3. ✅ Handle duplicate deliveries (use job_id for idempotency)
+ * 3. ✅ Handle duplicate deliveries (the middleware dedupes by job ID; pass a shared `store` when running several instances)
  * 4. ✅ Validate timestamp (prevent replay attacks)
  * 5. ✅ Use HTTPS webhook URLs (required in production)
  * 6. ✅ Implement retry logic on your side (if webhook processing fails)
@@ -344,7 +288,7 @@ async function exampleNgrokLocalTesting() {
 
 module.exports = {
   generateReleaseVideoWithWebhook,
-  verifyWebhookSignature
+  app
 };
 
 // ============================================================================
@@ -3,23 +3,15 @@
  * Use this when you already have screenshots or custom automation
  */
 const vloex = require('@vloex/sdk');
-const fs = require('fs');
 
 async function main() {
   // Initialize VLOEX SDK
   const client = vloex('vs_live_...');  // Replace with your API key
 
-  // Load screenshots from files
-  const screenshot1 = fs.readFileSync('screenshot1.png');
-  const screenshot2 = fs.readFileSync('screenshot2.png');
-
-  // Convert to base64
-  const screenshot1B64 = screenshot1.toString('base64');
-  const screenshot2B64 = screenshot2.toString('base64');
-
   // Generate video from screenshots
+  // File paths, Buffers, streams and base64 strings are all accepted
   const result = await client.videos.fromJourney({
-    screenshots: [screenshot1B64, screenshot2B64],
+    screenshots: ['screenshot1.png', 'screenshot2.png'],
     productContext: 'My Product Demo - Key Features',
     stepDuration: 15,
     avatarPosition: 'bottom-right',
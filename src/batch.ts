@@ -0,0 +1,29 @@
+/**
+ * VLOEX Batch - bounded-concurrency helpers for videos.createBatch / videos.waitForAll
+ */
+
+/**
+ * Run `worker` over `items` with at most `concurrency` calls in flight.
+ * Results keep input order. Once `shouldStop()` returns true no new items start;
+ * their slots stay undefined.
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  concurrency: number,
+  worker: (item: T, index: number) => Promise<R>,
+  shouldStop: () => boolean = () => false
+): Promise<(R | undefined)[]> {
+  const results: (R | undefined)[] = new Array(items.length).fill(undefined);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane);
+  await Promise.all(lanes);
+  return results;
+}
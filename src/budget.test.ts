@@ -0,0 +1,116 @@
+import { BudgetTracker } from './budget';
+import { createMockVloex } from './testing';
+import { BudgetExceededError, CostEstimate, VloexError } from './types';
+
+const estimate = (cost: number): CostEstimate => ({ durationSeconds: 10, cost, currency: 'USD' });
+
+describe('BudgetTracker', () => {
+  it('refuses a single estimate over perCall', () => {
+    const budget = new BudgetTracker({ perCall: 2 });
+
+    expect(() => budget.reserve(estimate(2.5))).toThrow(BudgetExceededError);
+    expect(() => budget.reserve(estimate(2))).not.toThrow();
+  });
+
+  it('counts spent and reserved costs against total', () => {
+    const budget = new BudgetTracker({ total: 1 });
+
+    budget.reserve(estimate(0.1))();
+    budget.charge('job_1', 0.1);
+    const release = budget.reserve(estimate(0.2));
+    expect(budget.status).toEqual({ total: 1, spent: 0.1, reserved: 0.2, remaining: 0.7, jobs: 1 });
+
+    // 0.1 + 0.2 + 0.7 lands exactly on the limit despite floating point
+    expect(() => budget.reserve(estimate(0.7))).not.toThrow();
+    let error: BudgetExceededError | undefined;
+    try {
+      budget.reserve(estimate(0.01));
+    } catch (e: any) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error).toEqual(expect.objectContaining({ scope: 'total', limit: 1, spent: 1 }));
+
+    release();
+    expect(budget.status.reserved).toBe(0.7);
+  });
+
+  it('replaces an estimate with the reported cost', () => {
+    const budget = new BudgetTracker({ total: 5 });
+
+    budget.charge('job_1', 2);
+    budget.charge('job_1', 1.5);
+    budget.charge('job_1', NaN);
+    expect(budget.status).toEqual(expect.objectContaining({ spent: 1.5, jobs: 1 }));
+  });
+
+  it('releases a reservation only once', () => {
+    const budget = new BudgetTracker({ total: 5 });
+
+    const first = budget.reserve(estimate(1));
+    budget.reserve(estimate(2));
+    first();
+    first();
+    expect(budget.status.reserved).toBe(2);
+  });
+
+  it('fails closed on an estimate without a cost', () => {
+    const budget = new BudgetTracker({ total: 5 });
+
+    expect(() => budget.reserve({ durationSeconds: 10, currency: 'USD' } as unknown as CostEstimate)).toThrow(VloexError);
+    expect(() => budget.reserve(estimate(Infinity))).toThrow(VloexError);
+  });
+});
+
+describe('ClientOptions.budget', () => {
+  it('refuses a create over perCall without submitting it', async () => {
+    // 5 words: 2 seconds of narration at $1 per second
+    const { vloex, server } = await createMockVloex({ costPerSecond: 1, client: { budget: { perCall: 1 } } });
+    try {
+      await expect(vloex.videos.create({ script: 'one two three four five' })).rejects.toThrow(BudgetExceededError);
+      expect(server.jobs.size).toBe(0);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('stops creating once the running total would go over', async () => {
+    const { vloex, server } = await createMockVloex({ costPerSecond: 1, client: { budget: { total: 5 } } });
+    try {
+      await vloex.videos.create({ script: 'one two three four five' });
+      await vloex.videos.create({ script: 'one two three four five' });
+      await expect(vloex.videos.create({ script: 'one two three four five' })).rejects.toThrow(BudgetExceededError);
+      expect(server.jobs.size).toBe(2);
+      expect(vloex.budget).toEqual(expect.objectContaining({ spent: 4, reserved: 0, remaining: 1, jobs: 2 }));
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('releases the reservation when the submission fails', async () => {
+    const { vloex, server } = await createMockVloex({ costPerSecond: 1, client: { budget: { total: 5 } } });
+    try {
+      server.injectError({ method: 'POST', path: '/v1/generate', status: 500 });
+      await expect(vloex.videos.create({ script: 'one two three four five' })).rejects.toThrow(VloexError);
+      expect(vloex.budget).toEqual(expect.objectContaining({ spent: 0, reserved: 0, remaining: 5, jobs: 0 }));
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('estimates screenshot journeys without uploading the images', async () => {
+    const { vloex, server } = await createMockVloex({ client: { budget: { total: 5 } } });
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    try {
+      await vloex.videos.fromJourneyAsync({ productContext: 'Acme', screenshots: [png, png], upload: 'multipart' });
+
+      const estimateRequest = server.requests.find(request => request.path === '/v1/videos/from-journey/estimate')!;
+      expect(estimateRequest.headers['content-type']).toContain('application/json');
+      expect(estimateRequest.body).toEqual(expect.objectContaining({ mode: 'screenshots', screenshot_count: 2 }));
+      expect(estimateRequest.body.screenshots).toBeUndefined();
+      expect(vloex.budget!.reserved).toBe(0);
+    } finally {
+      await server.close();
+    }
+  });
+});
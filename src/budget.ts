@@ -0,0 +1,98 @@
+/**
+ * VLOEX Budget - cost guardrails for billable calls
+ *
+ * Each job is counted at its estimate while the submission is in flight, then
+ * at the cost the API reports (on creation, or later in a status response).
+ *
+ * Usage:
+ *   const vloex = new Vloex({ budget: { perCall: 2, total: 25 } });
+ *   await vloex.videos.create({ script });  // BudgetExceededError instead of overspending
+ *   console.log(vloex.budget);              // { spent: 1.2, remaining: 23.8, ... }
+ */
+
+import { BudgetOptions, BudgetStatus, CostEstimate, BudgetExceededError, VloexError } from './types';
+
+export class BudgetTracker {
+  private options: BudgetOptions;
+  private charges = new Map<string, number>();
+  private reserved = 0;
+
+  constructor(options: BudgetOptions) {
+    this.options = options;
+  }
+
+  /**
+   * Hold an estimate against the budget while its job is submitted
+   * @returns Release function - call it once the submission succeeded or failed
+   * @throws BudgetExceededError when the estimate is over a limit,
+   *         VloexError when the estimate has no usable cost (the budget fails closed)
+   */
+  reserve(estimate: CostEstimate): () => void {
+    if (typeof estimate.cost !== 'number' || !Number.isFinite(estimate.cost) || estimate.cost < 0) {
+      throw new VloexError(`Cost estimate has no valid cost (got ${JSON.stringify(estimate.cost)}); not submitting over a budget`);
+    }
+
+    const { perCall, total } = this.options;
+    const committed = roundUsd(this.spent + this.reserved);
+    if (perCall !== undefined && estimate.cost > perCall) {
+      throw new BudgetExceededError(estimate, 'perCall', perCall, committed);
+    }
+    if (total !== undefined && roundUsd(committed + estimate.cost) > total) {
+      throw new BudgetExceededError(estimate, 'total', total, committed);
+    }
+
+    this.reserved += estimate.cost;
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this.reserved = Math.max(0, roundUsd(this.reserved - estimate.cost));
+      }
+    };
+  }
+
+  /**
+   * Count a job at its estimated or actual cost, replacing any earlier figure (non-numbers are ignored)
+   */
+  charge(key: string, cost: number): void {
+    if (Number.isFinite(cost)) {
+      this.charges.set(key, cost);
+    }
+  }
+
+  /**
+   * Only jobs this client submitted are counted
+   */
+  has(key: string): boolean {
+    return this.charges.has(key);
+  }
+
+  get status(): BudgetStatus {
+    const status: BudgetStatus = {
+      spent: this.spent,
+      reserved: roundUsd(this.reserved),
+      jobs: this.charges.size
+    };
+    if (this.options.perCall !== undefined) {
+      status.perCall = this.options.perCall;
+    }
+    if (this.options.total !== undefined) {
+      status.total = this.options.total;
+      status.remaining = Math.max(0, roundUsd(this.options.total - this.spent - this.reserved));
+    }
+    return status;
+  }
+
+  private get spent(): number {
+    let spent = 0;
+    this.charges.forEach(cost => {
+      spent += cost;
+    });
+    return roundUsd(spent);
+  }
+}
+
+// Sums of cents drift in floating point: 0.1 + 0.2 > 0.3
+function roundUsd(amount: number): number {
+  return Math.round(amount * 1e6) / 1e6;
+}
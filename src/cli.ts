@@ -0,0 +1,567 @@
+#!/usr/bin/env node
+/**
+ * VLOEX CLI - create, wait on and download videos from the shell
+ *
+ * Usage:
+ *   vloex create --script-file notes.md --wait --download out.mp4
+ *   vloex status <id>
+ *   vloex journey --screenshots ./shots/*.png --descriptions descriptions.json --context "Acme dashboard"
+ *
+ * The API key is read from VLOEX_API_KEY. Exit codes are listed in EXIT_CODES.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  Vloex,
+  Video,
+  GenerateParams,
+  JourneyParams,
+  VideoOptions,
+  Resolution,
+  AspectRatio,
+  FetchFunction,
+  AuthenticationError,
+  InsufficientCreditsError,
+  InvalidRequestError,
+  RateLimitError,
+  APIConnectionError,
+  VideoFailedError,
+  VideoCanceledError,
+  WaitTimeoutError,
+  fromReleaseNotes,
+  redactHeaders,
+  redactBody,
+  VERSION
+} from './index';
+
+export const EXIT_CODES = {
+  ok: 0,
+  error: 1,               // Unexpected or unclassified failure
+  usage: 2,               // Bad arguments, or InvalidRequestError
+  authentication: 3,      // AuthenticationError
+  insufficientCredits: 4, // InsufficientCreditsError
+  rateLimit: 5,           // RateLimitError
+  connection: 6,          // APIConnectionError, TimeoutError
+  videoFailed: 7,         // VideoFailedError, VideoCanceledError
+  waitTimeout: 8          // WaitTimeoutError
+};
+
+const HELP = `vloex ${VERSION}
+
+Usage:
+  vloex create [text] [--script-file <path|->] [--wait] [--download <file>]
+  vloex status <id>
+  vloex download <id> <file>
+  vloex journey --screenshots <files...> [--descriptions <file.json>] --context <text>
+  vloex journey --url <url> [--pages /,/features] [--goal <text>] --context <text>
+
+Create options:
+  --script-file <path>     Read the script from a file ("-" for stdin)
+  --release-notes          Treat the script as release notes/changelog Markdown
+  --product <name>         Product name for --release-notes
+  --avatar, --voice, --background, --resolution, --aspect-ratio, --language <value>
+  --captions               Burn in subtitles
+
+Journey options:
+  --screenshots <files...> Image files, in order (globs like ./shots/*.png are expanded)
+  --descriptions <file>    JSON array of descriptions, or an object keyed by file name
+  --context <text>         Product context for the narration
+  --url <url>              Product URL (guided mode, or autonomous with --goal)
+  --pages <paths>          Comma-separated paths for guided mode
+  --goal <text>            Autonomous mode: what to show
+
+Common options:
+  --wait                   Wait until the video is completed
+  --download <file>        Download the finished video (implies --wait)
+  --timeout <seconds>      Give up waiting after this long (default: 600)
+  --webhook-url <url>      Completion webhook
+  --idempotency-key <key>  Prevent duplicate jobs when a command is retried
+  --json                   Print results (and errors, on stderr) as JSON
+  --dry-run                Print the request instead of sending it (secrets redacted)
+  --debug                  Log every API call to stderr (secrets redacted)
+  --base-url <url>         API base URL (default: VLOEX_BASE_URL or https://api.vloex.com)
+  -h, --help               Show this help
+  --version                Show the CLI version
+
+Environment:
+  VLOEX_API_KEY            API key (required unless --dry-run)
+  VLOEX_WEBHOOK_SECRET     Secret for --webhook-url signatures
+
+Exit codes:
+  0 ok, 1 error, 2 usage or invalid request, 3 authentication, 4 insufficient credits,
+  5 rate limited, 6 connection or timeout, 7 video failed or canceled, 8 wait timed out
+`;
+
+const BOOLEAN_FLAGS = ['wait', 'json', 'dry-run', 'debug', 'captions', 'release-notes', 'help', 'version'];
+const MULTI_VALUE_FLAGS = ['screenshots'];
+
+// Flags each command accepts, on top of COMMON_FLAGS; anything else is a usage error
+const COMMON_FLAGS = ['json', 'dry-run', 'debug', 'base-url', 'help', 'version'];
+const WAIT_FLAGS = ['wait', 'download', 'timeout', 'webhook-url', 'idempotency-key'];
+const COMMAND_FLAGS: Record<string, string[]> = {
+  create: [
+    ...WAIT_FLAGS, 'script-file', 'release-notes', 'product',
+    'avatar', 'voice', 'background', 'resolution', 'aspect-ratio', 'language', 'captions'
+  ],
+  status: [],
+  download: [],
+  journey: [...WAIT_FLAGS, 'screenshots', 'descriptions', 'context', 'url', 'pages', 'goal']
+};
+
+class UsageError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+interface ParsedArgs {
+  positionals: string[];
+  flags: Record<string, string | string[] | boolean>;
+}
+
+interface DryRunRequest {
+  method: string;
+  url: string;
+  headers: Record<string, string>;
+  body?: any;
+}
+
+/**
+ * Run the CLI
+ * @param argv - Arguments after the executable, e.g. process.argv.slice(2)
+ * @returns Process exit code
+ */
+export async function run(argv: string[]): Promise<number> {
+  let args: ParsedArgs;
+  try {
+    args = parseArgs(argv);
+  } catch (error: any) {
+    return fail(error, argv.includes('--json'));
+  }
+
+  const json = args.flags.json === true;
+  const [command, ...rest] = args.positionals;
+
+  if (args.flags.version) {
+    process.stdout.write(`${VERSION}\n`);
+    return EXIT_CODES.ok;
+  }
+  if (args.flags.help || !command) {
+    process.stdout.write(HELP);
+    return command || args.flags.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  // Ctrl-C stops waiting/downloading; the job keeps running server-side
+  const controller = new AbortController();
+  const onSigint = () => controller.abort();
+  process.once('SIGINT', onSigint);
+
+  try {
+    const handler = COMMANDS[command];
+    if (!handler) {
+      throw new UsageError(`Unknown command "${command}". Run "vloex --help" for usage.`);
+    }
+    checkFlags(command, args);
+
+    const requests: DryRunRequest[] = [];
+    const client = createClient(args, requests);
+    const result = await handler({ client, args, json, signal: controller.signal }, rest);
+
+    if (args.flags['dry-run']) {
+      output(requests.length === 1 ? requests[0] : requests, true);
+    } else {
+      output(result, json);
+    }
+    return EXIT_CODES.ok;
+  } catch (error: any) {
+    return fail(error, json);
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+  }
+}
+
+interface CommandContext {
+  client: Vloex;
+  args: ParsedArgs;
+  json: boolean;
+  signal: AbortSignal;
+}
+
+async function create({ client, args, json, signal }: CommandContext, rest: string[]): Promise<any> {
+  const script = stringFlag(args, 'script-file') !== undefined
+    ? readInput(stringFlag(args, 'script-file')!)
+    : rest.join(' ');
+
+  if (!script.trim()) {
+    throw new UsageError('create needs a script: pass text or --script-file <path>');
+  }
+
+  const params: GenerateParams = {
+    script: args.flags['release-notes']
+      ? fromReleaseNotes(script, { product: stringFlag(args, 'product') })
+      : script,
+    options: videoOptions(args),
+    ...webhookParams(args)
+  };
+
+  const video = await client.videos.create(params);
+  if (args.flags['dry-run']) {
+    return video;
+  }
+  if (!json) {
+    log(`Created video ${video.id} (${video.status})`);
+  }
+
+  return finish({ client, args, json, signal }, video);
+}
+
+async function status({ client, json }: CommandContext, rest: string[]): Promise<any> {
+  const id = rest[0];
+  if (!id) {
+    throw new UsageError('status needs a video ID: vloex status <id>');
+  }
+
+  const video = await client.videos.retrieve(id);
+  return json ? video : describe(video);
+}
+
+async function download({ client, json, signal }: CommandContext, rest: string[]): Promise<any> {
+  const [id, to] = rest;
+  if (!id || !to) {
+    throw new UsageError('download needs a video ID and a file: vloex download <id> <file>');
+  }
+
+  const result = await client.videos.download(id, { to, signal, onProgress: json ? undefined : progress });
+  if (!json) {
+    process.stderr.write('\n');
+  }
+  return json ? { ...result.video, download: { path: result.path, bytes: result.bytes } } : `Saved ${to} (${result.bytes} bytes)`;
+}
+
+async function journey({ client, args, json, signal }: CommandContext): Promise<any> {
+  const productContext = stringFlag(args, 'context');
+  if (!productContext) {
+    throw new UsageError('journey needs --context <text> describing the product');
+  }
+
+  const screenshots = expandGlobs(listFlag(args, 'screenshots'));
+  const url = stringFlag(args, 'url');
+  const goal = stringFlag(args, 'goal');
+  const common = { productContext, ...webhookParams(args) };
+
+  let params: JourneyParams;
+  if (screenshots.length > 0) {
+    params = {
+      ...common,
+      screenshots,
+      descriptions: readDescriptions(stringFlag(args, 'descriptions'), screenshots)
+    };
+  } else if (url && goal) {
+    params = { ...common, mode: 'autonomous', productUrl: url, goal };
+  } else if (url) {
+    const pages = stringFlag(args, 'pages');
+    params = { ...common, productUrl: url, pages: pages ? pages.split(',').map(page => page.trim()) : undefined };
+  } else {
+    throw new UsageError('journey needs --screenshots <files...> or --url <url>');
+  }
+
+  // Async journeys return a job that --wait/--download can follow like create
+  if (args.flags.wait || args.flags.download) {
+    const video = await client.videos.fromJourneyAsync(params);
+    if (args.flags['dry-run']) {
+      return video;
+    }
+    if (!json) {
+      log(`Created journey video ${video.id} (${video.status})`);
+    }
+    return finish({ client, args, json, signal }, video);
+  }
+
+  const result = await client.videos.fromJourney(params);
+  return json ? result : result.videoUrl || result;
+}
+
+const COMMANDS: Record<string, (context: CommandContext, rest: string[]) => Promise<any>> = {
+  create,
+  status,
+  download,
+  journey
+};
+
+/**
+ * --wait / --download handling shared by create and journey
+ */
+async function finish({ client, args, json, signal }: CommandContext, video: Video): Promise<any> {
+  const to = stringFlag(args, 'download');
+  if (!args.flags.wait && !to) {
+    return json ? video : video.id;
+  }
+
+  const timeout = stringFlag(args, 'timeout');
+  const completed = await client.videos.waitForCompletion(video.id, {
+    timeoutMs: timeout ? parseSeconds(timeout) : undefined,
+    signal,
+    onProgress: json ? undefined : current => log(`Status: ${current.status}`)
+  });
+
+  if (!to) {
+    return json ? completed : completed.url;
+  }
+
+  const result = await client.videos.download(completed, { to, signal, onProgress: json ? undefined : progress });
+  if (!json) {
+    process.stderr.write('\n');
+    return `Saved ${to} (${result.bytes} bytes)`;
+  }
+  return { ...completed, download: { path: result.path, bytes: result.bytes } };
+}
+
+/**
+ * Client for the command. With --dry-run, requests are recorded instead of sent.
+ */
+function createClient(args: ParsedArgs, requests: DryRunRequest[]): Vloex {
+  const baseUrl = stringFlag(args, 'base-url');
+
+  if (!args.flags['dry-run']) {
+    if (!process.env.VLOEX_API_KEY) {
+      throw new AuthenticationError('VLOEX_API_KEY is not set. Get a key at https://vloex.com/api-keys');
+    }
+    return new Vloex({ baseUrl, debug: args.flags.debug === true || undefined });
+  }
+
+  const recordingFetch: FetchFunction = async (url: string, init: any) => {
+    requests.push({
+      method: init.method,
+      url,
+      headers: redactHeaders(init.headers),
+      body: redactBody(init.body, init.headers['Content-Type'])
+    });
+
+    return {
+      ok: true,
+      status: 200,
+      headers: new Map<string, string>(),
+      text: async () => JSON.stringify({ job_id: 'dry-run', status: 'queued', success: true })
+    };
+  };
+
+  return new Vloex({ apiKey: process.env.VLOEX_API_KEY || 'dry-run', baseUrl, fetch: recordingFetch, maxRetries: 0 });
+}
+
+// Values are checked by the SDK's option validation before anything is sent
+function videoOptions(args: ParsedArgs): VideoOptions | undefined {
+  const options: VideoOptions = {
+    avatar: stringFlag(args, 'avatar'),
+    voice: stringFlag(args, 'voice'),
+    background: stringFlag(args, 'background'),
+    resolution: stringFlag(args, 'resolution') as Resolution | undefined,
+    aspectRatio: stringFlag(args, 'aspect-ratio') as AspectRatio | undefined,
+    language: stringFlag(args, 'language'),
+    captions: args.flags.captions ? true : undefined
+  };
+
+  const set = (Object.keys(options) as (keyof VideoOptions)[]).filter(key => options[key] !== undefined);
+  return set.length > 0 ? Object.fromEntries(set.map(key => [key, options[key]])) : undefined;
+}
+
+function webhookParams(args: ParsedArgs): Pick<GenerateParams, 'webhookUrl' | 'webhookSecret' | 'idempotencyKey'> {
+  const webhookUrl = stringFlag(args, 'webhook-url');
+  return {
+    webhookUrl,
+    webhookSecret: webhookUrl ? process.env.VLOEX_WEBHOOK_SECRET : undefined,
+    idempotencyKey: stringFlag(args, 'idempotency-key')
+  };
+}
+
+/**
+ * descriptions.json: ["...", "..."] in screenshot order, or { "login.png": "..." } covering every screenshot
+ */
+function readDescriptions(file: string | undefined, screenshots: string[]): string[] | undefined {
+  if (!file) {
+    return undefined;
+  }
+
+  let data: any;
+  try {
+    data = JSON.parse(readInput(file));
+  } catch (e) {
+    throw new UsageError(`${file} is not valid JSON`);
+  }
+
+  if (Array.isArray(data)) {
+    return data.map(String);
+  }
+  if (data && typeof data === 'object') {
+    return screenshots.map(shot => {
+      const description = data[shot] ?? data[path.basename(shot)];
+      if (description === undefined || description === null) {
+        throw new UsageError(`${file} has no description for ${shot}`);
+      }
+      return String(description);
+    });
+  }
+  throw new UsageError(`${file} must contain an array or an object of descriptions`);
+}
+
+/**
+ * Expand `*` and `?` in file names, for shells (e.g. cmd.exe) that don't
+ */
+function expandGlobs(patterns: string[]): string[] {
+  return patterns.flatMap(pattern => {
+    if (!/[*?]/.test(path.basename(pattern))) {
+      return [pattern];
+    }
+
+    const dir = path.dirname(pattern);
+    const regex = new RegExp('^' + path.basename(pattern)
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.') + '$');
+
+    const matches = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(name => regex.test(name)).sort().map(name => path.join(dir, name))
+      : [];
+    if (matches.length === 0) {
+      throw new UsageError(`No files match ${pattern}`);
+    }
+    return matches;
+  });
+}
+
+function readInput(file: string): string {
+  try {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  } catch (error: any) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function parseArgs(argv: string[]): ParsedArgs {
+  const parsed: ParsedArgs = { positionals: [], flags: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      parsed.flags.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--') || arg === '--') {
+      parsed.positionals.push(...(arg === '--' ? argv.splice(i + 1) : [arg]));
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s, 2);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      parsed.flags[name] = true;
+      continue;
+    }
+
+    if (MULTI_VALUE_FLAGS.includes(name)) {
+      const values = inline !== undefined ? [inline] : [];
+      while (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        values.push(argv[++i]);
+      }
+      parsed.flags[name] = [...((parsed.flags[name] as string[]) || []), ...values];
+      continue;
+    }
+
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) {
+      throw new UsageError(`--${name} needs a value`);
+    }
+    parsed.flags[name] = value;
+  }
+
+  return parsed;
+}
+
+function checkFlags(command: string, args: ParsedArgs): void {
+  const allowed = [...COMMON_FLAGS, ...COMMAND_FLAGS[command]];
+  const unknown = Object.keys(args.flags).filter(name => !allowed.includes(name));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown option${unknown.length > 1 ? 's' : ''} for ${command}: ${unknown.map(name => `--${name}`).join(', ')}. Run "vloex --help" for usage.`);
+  }
+}
+
+function stringFlag(args: ParsedArgs, name: string): string | undefined {
+  const value = args.flags[name];
+  return typeof value === 'string' ? value : undefined;
+}
+
+function listFlag(args: ParsedArgs, name: string): string[] {
+  const value = args.flags[name];
+  return Array.isArray(value) ? value : [];
+}
+
+function parseSeconds(value: string): number {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new UsageError(`--timeout must be a positive number of seconds, got "${value}"`);
+  }
+  return seconds * 1000;
+}
+
+function describe(video: Video): string {
+  return [video.id, video.status, video.url || video.error].filter(Boolean).join('  ');
+}
+
+function progress({ bytes, total }: { bytes: number; total?: number }): void {
+  const percent = total ? ` (${Math.round((bytes / total) * 100)}%)` : '';
+  process.stderr.write(`\rDownloaded ${bytes} bytes${percent}`);
+}
+
+function output(result: any, json: boolean): void {
+  if (json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else if (result !== undefined) {
+    process.stdout.write(`${typeof result === 'string' ? result : JSON.stringify(result, null, 2)}\n`);
+  }
+}
+
+// Progress and status lines go to stderr so stdout stays pipeable
+function log(message: string): void {
+  process.stderr.write(`${message}\n`);
+}
+
+function fail(error: any, json: boolean): number {
+  const code = exitCode(error);
+
+  if (json) {
+    process.stderr.write(`${JSON.stringify({
+      error: {
+        type: error.name,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId,
+        fieldErrors: error.fieldErrors,
+        video: error.video
+      }
+    }, null, 2)}\n`);
+  } else {
+    process.stderr.write(`Error: ${error.message}\n`);
+  }
+  return code;
+}
+
+/**
+ * Map an error to a process exit code (see EXIT_CODES)
+ */
+export function exitCode(error: any): number {
+  if (error instanceof UsageError || error instanceof InvalidRequestError) return EXIT_CODES.usage;
+  if (error instanceof AuthenticationError) return EXIT_CODES.authentication;
+  if (error instanceof InsufficientCreditsError) return EXIT_CODES.insufficientCredits;
+  if (error instanceof RateLimitError) return EXIT_CODES.rateLimit;
+  if (error instanceof APIConnectionError) return EXIT_CODES.connection;
+  if (error instanceof VideoFailedError || error instanceof VideoCanceledError) return EXIT_CODES.videoFailed;
+  if (error instanceof WaitTimeoutError) return EXIT_CODES.waitTimeout;
+  return EXIT_CODES.error;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
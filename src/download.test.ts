@@ -0,0 +1,160 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { Writable } from 'stream';
+import { AddressInfo } from 'net';
+import fetch from 'node-fetch';
+import { downloadFile, DownloadConfig } from './download';
+import { APIConnectionError } from './types';
+
+const VIDEO = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+const config: DownloadConfig = { fetch: fetch as any, timeoutMs: 5000, maxRetries: 2, retryDelayMs: 1, jitter: false };
+// node-fetch never ends a body cut short by a dropped socket; the stall timeout is what notices
+const dropping: DownloadConfig = { ...config, timeoutMs: 200 };
+
+interface Behavior {
+  dropAfter?: number;    // First response ends the connection after this many bytes
+  ignoreRange?: boolean; // Always answer 200 with the whole video
+  etag?: string;
+}
+
+describe('downloadFile', () => {
+  let server: http.Server;
+  let url: string;
+  let dir: string;
+  let behavior: Behavior;
+  let requests: http.IncomingHttpHeaders[];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.headers);
+      const etag = behavior.etag || '"v1"';
+      const range = /^bytes=(\d+)-$/.exec(String(req.headers.range || ''));
+      const ifRange = req.headers['if-range'];
+      const start = range && !behavior.ignoreRange && (!ifRange || ifRange === etag) ? Number(range[1]) : undefined;
+
+      if (start !== undefined && start >= VIDEO.length) {
+        res.writeHead(416, { 'Content-Range': `bytes */${VIDEO.length}` });
+        return res.end();
+      }
+      if (start !== undefined) {
+        res.writeHead(206, {
+          ETag: etag,
+          'Content-Length': VIDEO.length - start,
+          'Content-Range': `bytes ${start}-${VIDEO.length - 1}/${VIDEO.length}`
+        });
+        return res.end(VIDEO.subarray(start));
+      }
+
+      res.writeHead(200, { ETag: etag, 'Content-Length': VIDEO.length });
+      if (behavior.dropAfter !== undefined) {
+        const dropAfter = behavior.dropAfter;
+        behavior.dropAfter = undefined;
+        res.write(VIDEO.subarray(0, dropAfter), () => res.destroy());
+        return;
+      }
+      res.end(VIDEO);
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/video.mp4`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vloex-download-'));
+    behavior = {};
+    requests = [];
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('writes the whole video to a file', async () => {
+    const to = path.join(dir, 'out.mp4');
+
+    expect(await downloadFile(url, { to }, config)).toBe(VIDEO.length);
+    expect(fs.readFileSync(to)).toEqual(VIDEO);
+    expect(requests[0].range).toBeUndefined();
+  });
+
+  it('overwrites an existing file unless resume is set', async () => {
+    const to = path.join(dir, 'out.mp4');
+    fs.writeFileSync(to, 'stale bytes from another video');
+
+    await downloadFile(url, { to }, config);
+    expect(fs.readFileSync(to)).toEqual(VIDEO);
+    expect(requests[0].range).toBeUndefined();
+  });
+
+  it('resumes a partial file with a Range request', async () => {
+    const to = path.join(dir, 'out.mp4');
+    fs.writeFileSync(to, VIDEO.subarray(0, 400));
+
+    expect(await downloadFile(url, { to, resume: true }, config)).toBe(VIDEO.length);
+    expect(fs.readFileSync(to)).toEqual(VIDEO);
+    expect(requests.map(headers => headers.range)).toEqual(['bytes=400-']);
+  });
+
+  it('resumes after the connection drops, guarded by If-Range', async () => {
+    const to = path.join(dir, 'out.mp4');
+    behavior.dropAfter = 300;
+
+    await downloadFile(url, { to }, dropping);
+    expect(fs.readFileSync(to)).toEqual(VIDEO);
+    expect(requests).toHaveLength(2);
+    expect(requests[1]).toEqual(expect.objectContaining({ range: 'bytes=300-', 'if-range': '"v1"' }));
+  });
+
+  it('treats 416 as complete only when the file is exactly the video', async () => {
+    const complete = path.join(dir, 'complete.mp4');
+    fs.writeFileSync(complete, VIDEO);
+    expect(await downloadFile(url, { to: complete, resume: true }, config)).toBe(VIDEO.length);
+    expect(requests).toHaveLength(1);
+
+    // Longer than the video: not ours, so it starts over
+    const stale = path.join(dir, 'stale.mp4');
+    fs.writeFileSync(stale, Buffer.concat([VIDEO, VIDEO]));
+    expect(await downloadFile(url, { to: stale, resume: true }, config)).toBe(VIDEO.length);
+    expect(fs.readFileSync(stale)).toEqual(VIDEO);
+  });
+
+  it('starts the file over when the server ignores Range', async () => {
+    const to = path.join(dir, 'out.mp4');
+    fs.writeFileSync(to, VIDEO.subarray(0, 400));
+    behavior.ignoreRange = true;
+
+    expect(await downloadFile(url, { to, resume: true }, config)).toBe(VIDEO.length);
+    expect(fs.readFileSync(to)).toEqual(VIDEO);
+  });
+
+  it('skips bytes a stream already has when a retry gets the whole video', async () => {
+    const chunks: Buffer[] = [];
+    const to = new Writable({ write(chunk, _encoding, callback) { chunks.push(chunk); callback(); } });
+    behavior.dropAfter = 300;
+    behavior.ignoreRange = true;
+
+    expect(await downloadFile(url, { to }, dropping)).toBe(VIDEO.length);
+    expect(Buffer.concat(chunks)).toEqual(VIDEO);
+  });
+
+  it('gives up with APIConnectionError when the network keeps failing', async () => {
+    await expect(downloadFile('http://127.0.0.1:1/video.mp4', { to: path.join(dir, 'out.mp4') }, config))
+      .rejects.toThrow(APIConnectionError);
+  });
+
+  it('rethrows destination errors without retrying', async () => {
+    const broken = Object.assign(new Error('write EPIPE'), { code: 'EPIPE' });
+    const to = new Writable({ write(_chunk, _encoding, callback) { callback(broken); } });
+
+    await expect(downloadFile(url, { to }, config)).rejects.toBe(broken);
+    expect(requests).toHaveLength(1);
+  });
+
+  it('rethrows a destination that cannot be opened', async () => {
+    const to = path.join(dir, 'missing', 'out.mp4');
+
+    await expect(downloadFile(url, { to }, config)).rejects.toThrow(expect.objectContaining({ code: 'ENOENT' }));
+    expect(requests).toHaveLength(0);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * VLOEX Download - stream a finished video to disk or any writable stream
+ *
+ * Retries and resumes with HTTP Range requests after network failures,
+ * and verifies the byte count against Content-Length/Content-Range.
+ */
+
+import fs from 'fs';
+import { once } from 'events';
+import {
+  DownloadOptions,
+  FetchFunction,
+  RetryOptions,
+  VloexError,
+  APIConnectionError,
+  TimeoutError
+} from './types';
+import { errorFromNetwork, errorFromResponse } from './errors';
+import {
+  DEFAULT_MAX_RETRIES,
+  computeRetryDelay,
+  isRetryableError,
+  isRetryableStatus,
+  parseRetryAfter,
+  sleep,
+  abortError
+} from './retry';
+
+export interface DownloadConfig extends RetryOptions {
+  fetch: FetchFunction;
+  timeoutMs: number;  // Max wait for the response and between chunks
+  agent?: any;
+}
+
+/**
+ * Download `url` to `options.to`; with `resume`, continue an existing partial file
+ * @returns Total bytes in the destination
+ * @throws The destination's own error (e.g. EACCES, ENOSPC, EPIPE) as is, without retrying
+ */
+export async function downloadFile(url: string, options: DownloadOptions, config: DownloadConfig): Promise<number> {
+  const toPath = typeof options.to === 'string' ? options.to : undefined;
+
+  // Only an explicit resume treats an existing file as a partial download of this video
+  let written = 0;
+  if (toPath && options.resume && fs.existsSync(toPath)) {
+    written = fs.statSync(toPath).size;
+  }
+
+  let dest: NodeJS.WritableStream = options.to as NodeJS.WritableStream;
+  const maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+
+  // ETag (or Last-Modified) of the video, sent as If-Range so a changed video is resent whole
+  let validator: string | undefined;
+
+  // Surface write failures (disk full, closed stream) instead of crashing on an unhandled 'error'
+  let destError: Error | undefined;
+  const openFile = async (flags: 'a' | 'w') => {
+    dest = fs.createWriteStream(toPath as string, { flags });
+    dest.on('error', (error: Error) => {
+      destError = error;
+    });
+    await once(dest, 'open');
+  };
+
+  /**
+   * The bytes already written don't belong to this video: start the file over
+   */
+  const truncate = async () => {
+    dest.end();
+    await once(dest, 'close').catch(() => undefined);
+    await openFile('w');
+    written = 0;
+  };
+
+  if (toPath) {
+    await openFile(written > 0 ? 'a' : 'w');
+  } else {
+    dest.on('error', (error: Error) => {
+      destError = error;
+    });
+  }
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      let retryAfterMs: number | undefined;
+
+      try {
+        await transfer();
+        break;
+      } catch (error: any) {
+        // Writing failed, not the network: another attempt would fail the same way
+        if (destError) {
+          throw destError;
+        }
+
+        const retryable = error instanceof APIConnectionError ||
+          (error instanceof VloexError && error.statusCode !== undefined && isRetryableStatus(error.statusCode)) ||
+          isRetryableError(error);
+
+        if (attempt >= maxRetries || !retryable) {
+          throw errorFromNetwork(error);
+        }
+        retryAfterMs = error.headers ? parseRetryAfter(error.headers['retry-after']) : undefined;
+      }
+
+      await sleep(computeRetryDelay(attempt + 1, config, retryAfterMs), options.signal);
+    }
+  } finally {
+    if (toPath || options.end !== false) {
+      dest.end();
+      if (toPath) {
+        await once(dest, 'close').catch(() => undefined);
+      }
+    }
+  }
+
+  // A failed flush only shows once the file is closed
+  if (destError) {
+    throw destError;
+  }
+  return written;
+
+  /**
+   * One attempt: request the remaining bytes and pipe them to dest.
+   * A body that ends early throws APIConnectionError so the caller retries with a Range request.
+   */
+  async function transfer(): Promise<void> {
+    if (options.signal?.aborted) {
+      throw abortError();
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+    const onAbort = () => controller?.abort();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timedOut = false;
+    let timer: NodeJS.Timeout | undefined;
+    const resetTimer = () => {
+      clearTimeout(timer as NodeJS.Timeout);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller?.abort();
+      }, config.timeoutMs);
+    };
+
+    try {
+      resetTimer();
+      const headers: Record<string, string> = {};
+      if (written > 0) {
+        headers.Range = `bytes=${written}-`;
+        if (validator) {
+          headers['If-Range'] = validator;
+        }
+      }
+      const response = await config.fetch(url, { headers, signal: controller?.signal, agent: config.agent });
+
+      // Range starts at or past the end: complete only if the file is exactly the video's size
+      if (response.status === 416 && written > 0) {
+        if (rangeTotal(response) === written) {
+          return;
+        }
+        if (!toPath) {
+          throw new VloexError(`Cannot resume: ${written} bytes already written, but the video is ${rangeTotal(response) ?? 'of unknown'} bytes`);
+        }
+        clearTimeout(timer as NodeJS.Timeout);
+        await truncate();
+        return transfer();
+      }
+
+      if (!response.ok) {
+        const headers: Record<string, string> = {};
+        response.headers.forEach((value: string, name: string) => {
+          headers[name] = value;
+        });
+        throw errorFromResponse(response.status, await response.text().catch(() => ''), headers);
+      }
+
+      const responseValidator = response.headers.get('etag') || response.headers.get('last-modified') || undefined;
+
+      if (response.status === 206 && rangeStart(response) !== written) {
+        if (!toPath) {
+          throw new VloexError(`Server resumed at byte ${rangeStart(response)} instead of ${written}`);
+        }
+        clearTimeout(timer as NodeJS.Timeout);
+        await truncate();
+        return transfer();
+      }
+
+      // 200 to a Range request: the server ignored Range, or If-Range found a changed video.
+      // A file starts over; a stream can't be rewound, so it skips what it has - if the video is unchanged.
+      let skip = 0;
+      if (response.status !== 206 && written > 0) {
+        if (toPath) {
+          await truncate();
+        } else if (validator && responseValidator !== validator) {
+          throw new VloexError('The video changed while it was being downloaded');
+        } else {
+          skip = written;
+        }
+      }
+      validator = validator || responseValidator;
+      const total = expectedTotal(response);
+
+      for await (const chunk of response.body as AsyncIterable<Uint8Array>) {
+        resetTimer();
+        let buffer = Buffer.from(chunk);
+        if (skip > 0) {
+          const skipped = Math.min(skip, buffer.length);
+          buffer = buffer.subarray(skipped);
+          skip -= skipped;
+          if (buffer.length === 0) {
+            continue;
+          }
+        }
+
+        if (!dest.write(buffer)) {
+          await once(dest, 'drain');
+        }
+        if (destError) {
+          throw destError;
+        }
+        written += buffer.length;
+
+        if (options.onProgress) {
+          options.onProgress({ bytes: written, total });
+        }
+      }
+
+      if (total !== undefined && written > total) {
+        throw new VloexError(`Downloaded ${written} bytes but the video is ${total} bytes`);
+      }
+      if (total !== undefined && written < total) {
+        throw new APIConnectionError(`Download ended after ${written} of ${total} bytes`);
+      }
+    } catch (error: any) {
+      if (timedOut) {
+        throw new TimeoutError(`Download stalled for ${config.timeoutMs}ms`, { cause: error });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer as NodeJS.Timeout);
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+/**
+ * First byte of a 206 response: "bytes 100-199/200"
+ */
+function rangeStart(response: any): number | undefined {
+  const match = /^bytes (\d+)-/.exec(response.headers.get('content-range') || '');
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Full size from a 416 response's Content-Range: "bytes *\/200"
+ */
+function rangeTotal(response: any): number | undefined {
+  const match = /^bytes \*\/(\d+)$/.exec(response.headers.get('content-range') || '');
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Full size of the video from Content-Range (206) or Content-Length (200)
+ */
+function expectedTotal(response: any): number | undefined {
+  const range = response.headers.get('content-range');
+  if (range) {
+    const match = /\/(\d+)$/.exec(range);
+    return match ? Number(match[1]) : undefined;
+  }
+
+  const length = response.headers.get('content-length');
+  return length ? Number(length) : undefined;
+}
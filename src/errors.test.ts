@@ -0,0 +1,35 @@
+import { errorFromResponse } from './errors';
+import { Vloex } from './index';
+import { RateLimitError } from './types';
+
+describe('errorFromResponse', () => {
+  it('reads Retry-After in seconds', () => {
+    const error = errorFromResponse(429, '{"detail":"Slow down"}', { 'retry-after': '7' }) as RateLimitError;
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.message).toBe('Slow down');
+    expect(error.retryAfter).toBe(7);
+  });
+
+  it('reads Retry-After as an HTTP date', () => {
+    const date = new Date(Date.now() + 30000).toUTCString();
+    const error = errorFromResponse(429, '', { 'retry-after': date }) as RateLimitError;
+    expect(error.retryAfter).toBeGreaterThanOrEqual(29);
+    expect(error.retryAfter).toBeLessThanOrEqual(30);
+  });
+
+  it('leaves retryAfter unset without a usable header', () => {
+    expect((errorFromResponse(429, '', {}) as RateLimitError).retryAfter).toBeUndefined();
+    expect((errorFromResponse(429, '', { 'retry-after': 'soon' }) as RateLimitError).retryAfter).toBeUndefined();
+  });
+});
+
+describe('request', () => {
+  it('rejects a JSON null body instead of crashing', async () => {
+    const vloex = new Vloex({
+      apiKey: 'vs_test',
+      maxRetries: 0,
+      fetch: async () => ({ ok: true, status: 200, headers: new Map<string, string>(), text: async () => 'null' })
+    });
+    await expect(vloex.videos.create({ script: 'Hi' })).rejects.toThrow('Unexpected API response');
+  });
+});
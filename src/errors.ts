@@ -0,0 +1,109 @@
+/**
+ * VLOEX Errors - map failed responses and network failures to typed errors
+ */
+
+import {
+  VloexError,
+  AuthenticationError,
+  InsufficientCreditsError,
+  InvalidRequestError,
+  RateLimitError,
+  APIConnectionError,
+  TimeoutError,
+  ErrorDetails,
+  FieldError
+} from './types';
+import { parseRetryAfter } from './retry';
+
+/**
+ * Build the error for a non-2xx response
+ * @param status - HTTP status code
+ * @param rawBody - Response body text (may be HTML from a proxy)
+ * @param headers - Response headers
+ */
+export function errorFromResponse(status: number, rawBody: string, headers: Record<string, string>): VloexError {
+  const data = parseJson(rawBody);
+  const details: ErrorDetails = {
+    requestId: headers['x-request-id'],
+    rawBody,
+    headers
+  };
+
+  const fieldErrors = data ? parseFieldErrors(data.detail) : [];
+  const message = errorMessage(data, fieldErrors) || `API request failed with status ${status}`;
+
+  switch (status) {
+    case 401:
+      return new AuthenticationError(message, status, details);
+    case 402:
+      return new InsufficientCreditsError(message, status, details);
+    case 400:
+    case 404:
+    case 422:
+      return new InvalidRequestError(message, status, details, fieldErrors);
+    case 429: {
+      // Delta-seconds or an HTTP date, as whole seconds to wait
+      const retryAfterMs = parseRetryAfter(headers['retry-after']);
+      return new RateLimitError(message, status, details, retryAfterMs === undefined ? undefined : Math.ceil(retryAfterMs / 1000));
+    }
+    default:
+      return new VloexError(message, status, details);
+  }
+}
+
+/**
+ * Wrap a fetch failure (no response received)
+ */
+export function errorFromNetwork(error: any): VloexError {
+  if (error instanceof VloexError || error.name === 'AbortError') {
+    return error;
+  }
+
+  // node-fetch reports its own `timeout` option as type 'request-timeout'
+  if (error.type === 'request-timeout') {
+    return new TimeoutError(error.message, { cause: error });
+  }
+
+  return new APIConnectionError(`Connection to VLOEX API failed: ${error.message}`, { cause: error });
+}
+
+export function parseJson(text: string): any {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * FastAPI validation errors: { detail: [{ loc: ['body', 'input'], msg, type }] }
+ */
+function parseFieldErrors(detail: any): FieldError[] {
+  if (!Array.isArray(detail)) {
+    return [];
+  }
+
+  return detail.map((item: any) => ({
+    field: (item.loc || []).filter((part: any) => part !== 'body').join('.'),
+    message: item.msg || String(item),
+    type: item.type
+  }));
+}
+
+function errorMessage(data: any, fieldErrors: FieldError[]): string | undefined {
+  if (fieldErrors.length > 0) {
+    return fieldErrors
+      .map(e => (e.field ? `${e.field}: ${e.message}` : e.message))
+      .join('; ');
+  }
+
+  if (!data) {
+    return undefined;
+  }
+
+  const message = data.detail || data.message || data.error;
+  if (typeof message === 'string') {
+    return message;
+  }
+  return message ? JSON.stringify(message) : undefined;
+}
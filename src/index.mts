@@ -0,0 +1,19 @@
+/**
+ * VLOEX SDK - ES module entry
+ *
+ * Wraps the CommonJS build, so `import` and `require()` share one copy of every
+ * class and `instanceof` checks (errors, Vloex) work across both.
+ *
+ * Usage:
+ *   import Vloex, { VideoFailedError } from '@vloex/sdk';
+ *   const vloex = new Vloex('vs_live_...');
+ */
+
+import sdk from './index.js';
+import type { VloexFactory } from './index.js';
+
+// `sdk` is the CommonJS module.exports; its `default` is the same callable Vloex
+const vloex: VloexFactory = sdk.default;
+
+export default vloex;
+export * from './index.js';
@@ -2,25 +2,245 @@
  * VLOEX SDK - Video generation as a computing primitive
  *
  * Usage:
- *   const vloex = require('@vloex/sdk')('vs_live_...');
+ *   const Vloex = require('@vloex/sdk');   // or: import Vloex from '@vloex/sdk';
+ *   const vloex = new Vloex('vs_live_...');  // Vloex('vs_live_...') works too
  *   const video = await vloex.videos.create({ script: 'Hello world' });
  */
 
+import crypto from 'crypto';
 import fetch from 'node-fetch';
-import { GenerateParams, Video, VloexError, JourneyParams, JourneyVideo } from './types';
+import {
+  GenerateParams,
+  Video,
+  VloexError,
+  VloexSignatureError,
+  JourneyParams,
+  JourneyVideo,
+  WebhookEvent,
+  WebhookEventType,
+  VideoCompletedEvent,
+  VideoFailedEvent,
+  ConstructEventOptions,
+  TestHeaderParams,
+  TestHeader,
+  RetryOptions,
+  RetryInfo,
+  WaitOptions,
+  CreateAndWaitOptions,
+  VideoFailedError,
+  WaitTimeoutError,
+  AuthenticationError,
+  InsufficientCreditsError,
+  InvalidRequestError,
+  RateLimitError,
+  APIConnectionError,
+  TimeoutError,
+  ErrorDetails,
+  FieldError,
+  ClientOptions,
+  RequestOptions,
+  FetchFunction,
+  ScreenshotInput,
+  ScreenshotObject,
+  ScreenshotSource,
+  ImageMimeType,
+  JourneyPage,
+  JourneyAuth,
+  FormLoginAuth,
+  CookieAuth,
+  HeaderAuth,
+  BearerAuth,
+  JourneyMode,
+  ScreenshotJourneyParams,
+  GuidedJourneyParams,
+  AutonomousJourneyParams,
+  BatchOptions,
+  BatchItemResult,
+  WaitForAllOptions,
+  PolledVideo,
+  ListVideosParams,
+  Page,
+  DownloadOptions,
+  DownloadProgress,
+  DownloadResult,
+  VideoNotReadyError,
+  VideoCanceledError,
+  VideoCanceledEvent,
+  DeletedVideo,
+  VideoOptions,
+  KnownAvatar,
+  KnownVoice,
+  KnownBackground,
+  AvatarId,
+  VoiceId,
+  BackgroundId,
+  Resolution,
+  AspectRatio,
+  Avatar,
+  Voice,
+  Background,
+  Scene,
+  ScriptInput,
+  ScriptEstimate,
+  ReleaseNotesOptions,
+  ReleaseHighlight,
+  ReleaseCategory,
+  ReleaseTone,
+  RequestHooks,
+  RequestContext,
+  ResponseContext,
+  ErrorContext,
+  SpanAttributes,
+  DebugLogger,
+  RateLimitInfo,
+  RateLimitQueueOptions,
+  WebhookMiddlewareOptions,
+  DedupeStore,
+  WebhookHandler,
+  WebhookResult,
+  WatchOptions,
+  JobWatchEvent,
+  JobWatchEventType,
+  StoredJob,
+  JobStore,
+  CostEstimate,
+  BudgetOptions,
+  BudgetStatus,
+  BudgetExceededError
+} from './types';
+import { constructEvent, generateTestHeader } from './webhooks';
+import { errorFromResponse, errorFromNetwork, parseJson } from './errors';
+import { MultipartBody } from './screenshots';
+import { buildJourneyRequest } from './journey';
+import { mapWithConcurrency } from './batch';
+import {
+  DEFAULT_POLL_INTERVAL_MS,
+  DEFAULT_MAX_POLL_INTERVAL_MS,
+  DEFAULT_WAIT_TIMEOUT_MS,
+  DEFAULT_BATCH_CONCURRENCY,
+  isTerminal
+} from './polling';
+import { PagePromise, createPage } from './pagination';
+import { downloadFile } from './download';
+import { serializeVideoOptions } from './options';
+import { Script, serializeScript, SCRIPT_LIMITS } from './script';
+import { fromReleaseNotes, parseReleaseNotes } from './release-notes';
+import { spanAttributes, createDebugHooks, redactHeaders, redactBody } from './observability';
+import { RateLimiter, parseRateLimit } from './rate-limit';
+import { createWebhookMiddleware, MemoryDedupeStore, WebhookMiddleware } from './webhook-middleware';
+import { JobWatcher } from './watch';
+import { MemoryJobStore, FileJobStore } from './job-store';
+import { BudgetTracker } from './budget';
+import {
+  DEFAULT_MAX_RETRIES,
+  computeRetryDelay,
+  isRetryableError,
+  isRetryableStatus,
+  parseRetryAfter,
+  sleep,
+  abortError
+} from './retry';
+
+const VERSION = '0.1.5';
+const USER_AGENT = `vloex-node/${VERSION}`;
 
 const DEFAULT_BASE_URL = 'https://api.vloex.com';
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const JOURNEY_TIMEOUT_MS = 10 * 60 * 1000;
+
+// GET endpoints returning avatar/voice/background lists
+const CATALOG_PATHS = ['/v1/avatars', '/v1/voices', '/v1/backgrounds'];
+
+// POST endpoints that create billable jobs
+const IDEMPOTENT_POST_PATHS = ['/v1/generate', '/v1/videos/from-journey', '/v1/videos/from-journey/async'];
+
+// Where each billable endpoint is priced before ClientOptions.budget lets it through
+const ESTIMATE_PATHS: Record<string, string> = {
+  '/v1/generate': '/v1/generate/estimate',
+  '/v1/videos/from-journey': '/v1/videos/from-journey/estimate',
+  '/v1/videos/from-journey/async': '/v1/videos/from-journey/estimate'
+};
+
+// A billable request, and what its estimate is sent (default: the same body)
+interface BillableRequest {
+  body: any;
+  estimateBody?: any;
+}
 
 class Vloex {
   private apiKey: string;
   private baseUrl: string;
+  private options: ClientOptions;
+  private fetch: FetchFunction;
+  private hooks: RequestHooks[];
+  private limiter?: RateLimiter;
+  private lastRateLimit?: RateLimitInfo;
+  private budgetTracker?: BudgetTracker;
+
+  // Verified webhook deliveries, fanned out to jobs.watch()
+  private webhookListeners = new Set<(event: WebhookEvent) => void>();
+  private webhookReceiverAttached = false;
+
+  /**
+   * Example:
+   *   const vloex = new Vloex({
+   *     apiKey: process.env.VLOEX_API_KEY,
+   *     timeoutMs: 30000,
+   *     maxRetries: 3,
+   *     httpAgent: new HttpsProxyAgent(process.env.HTTPS_PROXY)
+   *   });
+   */
+  constructor(options?: ClientOptions);
+  constructor(apiKey: string | undefined, baseUrl?: string, options?: ClientOptions);
+  constructor(apiKeyOrOptions?: string | ClientOptions, baseUrl?: string, options: ClientOptions = {}) {
+    if (typeof apiKeyOrOptions === 'object') {
+      options = apiKeyOrOptions;
+    } else {
+      options = { ...options, apiKey: apiKeyOrOptions, baseUrl: baseUrl || options.baseUrl };
+    }
 
-  constructor(apiKey: string, baseUrl: string = DEFAULT_BASE_URL) {
+    const apiKey = options.apiKey || process.env.VLOEX_API_KEY;
     if (!apiKey) {
       throw new Error('VLOEX API key required. Get one at https://vloex.com/api-keys');
     }
     this.apiKey = apiKey;
-    this.baseUrl = baseUrl;
+    this.baseUrl = (options.baseUrl || process.env.VLOEX_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.options = options;
+    this.fetch = options.fetch || fetch;
+
+    this.hooks = [...(options.hooks || [])];
+    const debug = options.debug ?? ['1', 'true'].includes(process.env.VLOEX_DEBUG || '');
+    if (debug) {
+      this.hooks.push(createDebugHooks(typeof debug === 'function' ? debug : message => console.error(message)));
+    }
+
+    if (options.rateLimitQueue) {
+      this.limiter = new RateLimiter(options.rateLimitQueue === true ? {} : options.rateLimitQueue);
+    }
+
+    if (options.budget) {
+      this.budgetTracker = new BudgetTracker(options.budget);
+    }
+  }
+
+  /**
+   * Rate-limit headers of the latest API response (undefined until one arrives)
+   *
+   * Example:
+   *   const { remaining, resetAt } = vloex.rateLimit || {};
+   */
+  get rateLimit(): RateLimitInfo | undefined {
+    return this.lastRateLimit;
+  }
+
+  /**
+   * Spend so far against ClientOptions.budget (undefined without a budget)
+   *
+   * Example:
+   *   const { spent, remaining } = vloex.budget || {};
+   */
+  get budget(): BudgetStatus | undefined {
+    return this.budgetTracker?.status;
   }
 
   /**
@@ -40,34 +260,304 @@ class Vloex {
      *     idempotencyKey: uuidv4()  // Prevents duplicate charges
      *   });
      */
-    create: async (params: GenerateParams): Promise<Video> => {
-      const payload: any = {
-        input: params.script,
-        options: params.options || {}
-      };
+    create: async (params: GenerateParams, options: RequestOptions = {}): Promise<Video> => {
+      return this.createJob('video', '/v1/generate', { idempotencyKey: params.idempotencyKey, ...options },
+        async () => ({ body: buildGenerateBody(params) }));
+    },
+
+    /**
+     * Estimate a video's length and cost without creating it
+     * @param params - The params you would pass to create()
+     * @param options - Per-call request options
+     * @returns Expected duration in seconds and cost in USD
+     *
+     * Example:
+     *   const { durationSeconds, cost } = await vloex.videos.estimate({ script });
+     */
+    estimate: async (params: GenerateParams, options: RequestOptions = {}): Promise<CostEstimate> => {
+      return this.request('POST', ESTIMATE_PATHS['/v1/generate'], buildGenerateBody(params), {
+        idempotencyKey: crypto.randomUUID(),
+        ...options
+      });
+    },
+
+    /**
+     * Retrieve a video by ID
+     * @param id - Video job ID
+     * @param options - Per-call request options
+     * @returns Video with current status
+     */
+    retrieve: async (id: string, options: RequestOptions = {}): Promise<Video> => {
+      const video = await this.request('GET', `/v1/jobs/${id}/status`, undefined, options);
+      await this.recordStatus(video);
+      return video;
+    },
 
-      if (params.webhookUrl) {
-        payload.webhook_url = params.webhookUrl;
+    /**
+     * Download a completed video
+     * @param idOrVideo - Video job ID, or a Video from retrieve()/waitForCompletion()
+     * @param options - to (path or writable stream), signal, onProgress
+     * @returns Video, byte count and path
+     * @throws VideoNotReadyError if the video hasn't completed
+     *
+     * Example:
+     *   await vloex.videos.download(video.id, {
+     *     to: './release.mp4',
+     *     onProgress: ({ bytes, total }) => console.log(`${bytes}/${total}`)
+     *   });
+     */
+    download: async (idOrVideo: string | Video, options: DownloadOptions): Promise<DownloadResult> => {
+      let video = typeof idOrVideo === 'string' ? undefined : idOrVideo;
+      if (!video || !video.url) {
+        video = await this.videos.retrieve(typeof idOrVideo === 'string' ? idOrVideo : idOrVideo.id, {
+          signal: options.signal
+        });
       }
 
-      if (params.webhookSecret) {
-        payload.webhook_secret = params.webhookSecret;
+      if (video.status !== 'completed' || !video.url) {
+        throw new VideoNotReadyError(video);
       }
 
-      return this.request('POST', '/v1/generate', payload, params.idempotencyKey);
+      // The video URL is not an API endpoint: no Authorization header is sent
+      const bytes = await downloadFile(video.url, options, {
+        ...this.options,
+        fetch: this.fetch,
+        timeoutMs: this.options.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+        agent: this.options.httpAgent
+      });
+
+      return { video, bytes, path: typeof options.to === 'string' ? options.to : undefined };
     },
 
     /**
-     * Retrieve a video by ID
+     * List video jobs, newest first
+     * @param params - status, createdAfter, createdBefore, limit, cursor
+     * @param options - Per-call request options
+     * @returns Awaitable first page, or async-iterable over every video
+     *
+     * Example:
+     *   const page = await vloex.videos.list({ status: 'completed', limit: 50 });
+     *   console.log(page.data.length, page.hasMore);
+     *
+     *   for await (const video of vloex.videos.list({ createdAfter: '2025-01-01' })) {
+     *     console.log(video.id, video.status);
+     *   }
+     */
+    list: (params: ListVideosParams = {}, options: RequestOptions = {}): PagePromise<Video> => {
+      const fetchPage = async (cursor?: string): Promise<Page<Video>> => {
+        const query = new URLSearchParams();
+        if (params.status) {
+          query.set('status', params.status);
+        }
+        if (params.createdAfter) {
+          query.set('created_after', toISOString(params.createdAfter));
+        }
+        if (params.createdBefore) {
+          query.set('created_before', toISOString(params.createdBefore));
+        }
+        if (params.limit) {
+          query.set('limit', String(params.limit));
+        }
+        if (cursor || params.cursor) {
+          query.set('cursor', (cursor || params.cursor) as string);
+        }
+
+        const qs = query.toString();
+        const result = await this.request('GET', qs ? `/v1/jobs?${qs}` : '/v1/jobs', undefined, options);
+        return createPage(result.data, result.hasMore, result.nextCursor, fetchPage);
+      };
+
+      return new PagePromise(fetchPage);
+    },
+
+    /**
+     * Cancel a queued or processing video
      * @param id - Video job ID
-     * @returns Video with current status
+     * @param options - Per-call request options
+     * @returns Video with status 'canceled'
+     */
+    cancel: async (id: string, options: RequestOptions = {}): Promise<Video> => {
+      // Cancelling twice is harmless, so the request is safe to retry
+      const video = await this.request('POST', `/v1/jobs/${id}/cancel`, undefined, {
+        idempotencyKey: crypto.randomUUID(),
+        ...options
+      });
+      await this.recordStatus(video);
+      return video;
+    },
+
+    /**
+     * Permanently delete a video and its file
+     * @param id - Video job ID
+     * @param options - Per-call request options
+     * @returns Deletion confirmation
+     */
+    del: async (id: string, options: RequestOptions = {}): Promise<DeletedVideo> => {
+      const deleted = await this.request('DELETE', `/v1/jobs/${id}`, undefined, options);
+      await this.options.jobStore?.delete(id);
+      return deleted;
+    },
+
+    /**
+     * Poll a video until it completes
+     * @param id - Video job ID
+     * @param options - intervalMs, timeoutMs, signal, onProgress
+     * @returns Completed video with URL
+     * @throws VideoFailedError if the video fails, VideoCanceledError if it is canceled,
+     *         WaitTimeoutError on timeout
+     *
+     * Example:
+     *   const video = await vloex.videos.waitForCompletion(job.id, {
+     *     timeoutMs: 5 * 60 * 1000,
+     *     onProgress: (v) => console.log(v.status)
+     *   });
+     *   console.log(video.url);
      */
-    retrieve: async (id: string): Promise<Video> => {
-      return this.request('GET', `/v1/jobs/${id}/status`);
+    waitForCompletion: async (id: string, options: WaitOptions = {}): Promise<Video> => {
+      const timeoutMs = options.timeoutMs ?? DEFAULT_WAIT_TIMEOUT_MS;
+      const maxIntervalMs = options.maxIntervalMs ?? DEFAULT_MAX_POLL_INTERVAL_MS;
+      const deadline = Date.now() + timeoutMs;
+      let intervalMs = options.intervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+
+      while (true) {
+        if (options.signal?.aborted) {
+          throw abortError();
+        }
+
+        const video = await this.videos.retrieve(id, { signal: options.signal });
+
+        if (options.onProgress) {
+          options.onProgress(video);
+        }
+
+        if (video.status === 'completed') {
+          return video;
+        }
+
+        if (video.status === 'failed') {
+          throw new VideoFailedError(video);
+        }
+
+        if (video.status === 'canceled') {
+          throw new VideoCanceledError(video);
+        }
+
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+          throw new WaitTimeoutError(video, timeoutMs);
+        }
+
+        await sleep(Math.min(intervalMs, remainingMs), options.signal);
+        intervalMs = Math.min(intervalMs * 1.5, maxIntervalMs);
+      }
+    },
+
+    /**
+     * Create a video and wait for it to complete
+     * @param params - script and optional settings
+     * @param options - Polling options (see waitForCompletion), plus requestOptions for the create request
+     * @returns Completed video with URL
+     *
+     * Example:
+     *   const video = await vloex.videos.createAndWait({ script: 'Hello world' });
+     *   console.log(video.url);
+     */
+    createAndWait: async (params: GenerateParams, options: CreateAndWaitOptions = {}): Promise<Video> => {
+      const video = await this.videos.create(params, { signal: options.signal, ...options.requestOptions });
+      return this.videos.waitForCompletion(video.id, options);
+    },
+
+    /**
+     * Create many videos with bounded concurrency
+     * @param items - One GenerateParams per video
+     * @param options - concurrency, stopOnError, idempotencyKeyPrefix
+     * @returns One result per item, in input order - never rejects for individual failures
+     *
+     * Example:
+     *   const results = await vloex.videos.createBatch(
+     *     sections.map(section => ({ script: section.text })),
+     *     { concurrency: 3, idempotencyKeyPrefix: `release-${tag}` }
+     *   );
+     *   const jobs = results.filter(r => r.status === 'created').map(r => r.video);
+     */
+    createBatch: async (items: GenerateParams[], options: BatchOptions = {}): Promise<BatchItemResult[]> => {
+      const keys = items.map((item, i) =>
+        item.idempotencyKey ||
+        (options.idempotencyKeyPrefix ? `${options.idempotencyKeyPrefix}-${i}` : crypto.randomUUID())
+      );
+      let failed = false;
+
+      const results = await mapWithConcurrency(
+        items,
+        options.concurrency ?? DEFAULT_BATCH_CONCURRENCY,
+        async (item, index): Promise<BatchItemResult> => {
+          const idempotencyKey = keys[index];
+          try {
+            const video = await this.videos.create({ ...item, idempotencyKey }, options.requestOptions);
+            return { status: 'created', index, idempotencyKey, video };
+          } catch (error: any) {
+            failed = true;
+            return { status: 'failed', index, idempotencyKey, error };
+          }
+        },
+        () => failed && !!options.stopOnError
+      );
+
+      return results.map((result, index) => result || { status: 'skipped', index, idempotencyKey: keys[index] });
+    },
+
+    /**
+     * Poll many videos until each one completes or fails
+     * @param ids - Video job IDs (or the Videos returned by create/createBatch)
+     * @param options - intervalMs, timeoutMs, concurrency, signal, onProgress
+     * @returns Latest Video for each ID, in input order. Failed/canceled videos are returned, not thrown;
+     *          videos still queued/processing at timeoutMs keep their last status. A job whose status
+     *          request failed keeps its last status and carries the error as `pollError`.
+     */
+    waitForAll: async (ids: (string | Video)[], options: WaitForAllOptions = {}): Promise<PolledVideo[]> => {
+      const timeoutMs = options.timeoutMs ?? DEFAULT_WAIT_TIMEOUT_MS;
+      const maxIntervalMs = options.maxIntervalMs ?? DEFAULT_MAX_POLL_INTERVAL_MS;
+      const deadline = Date.now() + timeoutMs;
+      let intervalMs = options.intervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+
+      const videos: PolledVideo[] = ids.map(id => (typeof id === 'string' ? { id, status: 'queued' } : id));
+      const givenUp = new Set<number>();
+      const isDone = (video: PolledVideo, index: number) => isTerminal(video.status) || givenUp.has(index);
+
+      while (true) {
+        // Only jobs that haven't finished are polled again
+        const pending = videos.map((video, index) => ({ video, index })).filter(p => !isDone(p.video, p.index));
+        await mapWithConcurrency(pending, options.concurrency ?? DEFAULT_BATCH_CONCURRENCY, async ({ video, index }) => {
+          try {
+            videos[index] = await this.videos.retrieve(video.id, { signal: options.signal });
+          } catch (error: any) {
+            if (error.name === 'AbortError') {
+              throw error;
+            }
+            // One job's failure must not sink the others; a 4xx won't get better by polling again
+            videos[index] = { ...video, pollError: error };
+            if (error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429) {
+              givenUp.add(index);
+            }
+          }
+        });
+
+        if (options.onProgress) {
+          options.onProgress(videos.slice());
+        }
+
+        const remainingMs = deadline - Date.now();
+        if (videos.every(isDone) || remainingMs <= 0) {
+          return videos;
+        }
+
+        await sleep(Math.min(intervalMs, remainingMs), options.signal);
+        intervalMs = Math.min(intervalMs * 1.5, maxIntervalMs);
+      }
     },
 
     /**
-     * Create a video from journey - 2 simple modes
+     * Create a video from journey - 3 modes
      *
      * Mode 1a - Provide screenshots with descriptions (fastest):
      *   const video = await vloex.videos.fromJourney({
@@ -89,87 +579,445 @@ class Vloex {
      *     productContext: 'MyApp Product Tour'
      *   });
      *
+     * Mode 2 - Authenticated pages (form login, cookies, headers or bearer token):
+     *   const video = await vloex.videos.fromJourney({
+     *     productUrl: 'https://myapp.com',
+     *     auth: { type: 'bearer', token: process.env.DEMO_TOKEN },
+     *     pages: [{ path: '/dashboard', description: 'Main Dashboard' }],
+     *     productContext: 'MyApp Dashboard Tour'
+     *   });
+     *
+     * Mode 3 - Autonomous exploration (AI picks the pages):
+     *   const video = await vloex.videos.fromJourney({
+     *     mode: 'autonomous',
+     *     productUrl: 'https://myapp.com',
+     *     goal: 'Show main features and key workflows',
+     *     maxSteps: 8,
+     *     denyUrlPatterns: ['/logout', '/billing/*'],
+     *     productContext: 'MyApp Product Tour'
+     *   });
+     *
      * @param params - Journey parameters
+     * @param options - Per-call request options (timeout defaults to at least 10 minutes)
      * @returns Journey video result
      */
-    fromJourney: async (params: JourneyParams): Promise<JourneyVideo> => {
-      const payload: any = {
-        product_context: params.productContext,
-        step_duration: params.stepDuration || 15,
-        avatar_position: params.avatarPosition || 'bottom-right',
-        tone: params.tone || 'professional'
-      };
+    fromJourney: Object.assign(async (params: JourneyParams, options: RequestOptions = {}): Promise<JourneyVideo> => {
+      const request = await buildJourneyRequest(params);
 
-      // Mode 1: Screenshots provided
-      if (params.screenshots) {
-        payload.screenshots = params.screenshots;
-
-        // Optional descriptions (Mode 1a vs 1b)
-        if (params.descriptions) {
-          payload.descriptions = params.descriptions;
-        }
+      // Rendering happens inside this request, so it needs far longer than the default timeout
+      return this.submitBillable('/v1/videos/from-journey', request, {
+        timeoutMs: Math.max(this.options.timeoutMs ?? DEFAULT_TIMEOUT_MS, JOURNEY_TIMEOUT_MS),
+        idempotencyKey: params.idempotencyKey,
+        ...options
+      });
+    }, {
+      /**
+       * Estimate a journey video's length and cost without rendering it
+       * @param params - The params you would pass to fromJourney() or fromJourneyAsync()
+       * @param options - Per-call request options
+       * @returns Expected duration in seconds and cost in USD
+       */
+      estimate: async (params: JourneyParams, options: RequestOptions = {}): Promise<CostEstimate> => {
+        const { estimateBody } = await buildJourneyRequest(params);
+        return this.request('POST', ESTIMATE_PATHS['/v1/videos/from-journey'], estimateBody, {
+          idempotencyKey: crypto.randomUUID(),
+          ...options
+        });
       }
+    }),
 
-      // Mode 2: URL-based (public pages only)
-      if (params.productUrl) {
-        payload.product_url = params.productUrl;
-      }
+    /**
+     * Start a journey video job without waiting for it to render
+     * @param params - Journey parameters (all modes), plus webhookUrl/webhookSecret/idempotencyKey
+     * @param options - Per-call request options
+     * @returns Video job with ID - poll with retrieve()/waitForCompletion() or wait for the webhook
+     *
+     * Example (serverless-friendly):
+     *   const job = await vloex.videos.fromJourneyAsync({
+     *     productUrl: 'https://myapp.com',
+     *     pages: ['/', '/features', '/pricing'],
+     *     productContext: 'MyApp Website Tour',
+     *     webhookUrl: 'https://your-app.com/webhook',
+     *     webhookSecret: process.env.VLOEX_WEBHOOK_SECRET
+     *   });
+     */
+    fromJourneyAsync: async (params: JourneyParams, options: RequestOptions = {}): Promise<Video> => {
+      return this.createJob('journey', '/v1/videos/from-journey/async', { idempotencyKey: params.idempotencyKey, ...options },
+        () => buildJourneyRequest(params));
+    }
+  };
 
-      if (params.pages) {
-        payload.pages = params.pages;
-      }
+  /**
+   * Avatars catalog - IDs for options.avatar
+   */
+  avatars = {
+    /**
+     * List available avatars
+     * @returns Avatars with ID, name and preview URL
+     */
+    list: async (options: RequestOptions = {}): Promise<Avatar[]> => {
+      return this.request('GET', '/v1/avatars', undefined, options);
+    }
+  };
 
-      return this.request('POST', '/v1/videos/from-journey', payload);
+  /**
+   * Voices catalog - IDs for options.voice
+   */
+  voices = {
+    /**
+     * List available voices
+     * @returns Voices with ID, name, language and preview URL
+     */
+    list: async (options: RequestOptions = {}): Promise<Voice[]> => {
+      return this.request('GET', '/v1/voices', undefined, options);
+    }
+  };
+
+  /**
+   * Backgrounds catalog - IDs for options.background
+   */
+  backgrounds = {
+    /**
+     * List available backgrounds
+     * @returns Backgrounds with ID, name and preview URL
+     */
+    list: async (options: RequestOptions = {}): Promise<Background[]> => {
+      return this.request('GET', '/v1/backgrounds', undefined, options);
+    }
+  };
+
+  /**
+   * Webhooks resource - verify and parse deliveries
+   *
+   * Example (Express, Fastify or http - see webhook-middleware.ts):
+   *   app.post('/webhook', vloex.webhooks.middleware({ secret: process.env.VLOEX_WEBHOOK_SECRET })
+   *     .on('video.completed', event => console.log(event.data.url)));
+   *
+   * Example (by hand - use the raw body, not express.json()):
+   *   app.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+   *     const event = vloex.webhooks.constructEvent(
+   *       req.body,
+   *       req.headers['x-vloex-signature'],
+   *       req.headers['x-vloex-timestamp'],
+   *       process.env.VLOEX_WEBHOOK_SECRET
+   *     );
+   *     res.sendStatus(200);
+   *   });
+   */
+  webhooks = {
+    constructEvent,
+    generateTestHeader,
+    middleware: (options?: WebhookMiddlewareOptions): WebhookMiddleware => {
+      this.webhookReceiverAttached = true;
+      return createWebhookMiddleware(options, event => this.jobs.notify(event));
+    }
+  };
+
+  /**
+   * Jobs resource - follow jobs by webhook, falling back to polling
+   *
+   * Example:
+   *   app.post('/webhooks/vloex', vloex.webhooks.middleware());
+   *   const watcher = vloex.jobs.watch(videos)
+   *     .on('completed', video => publish(video.url))
+   *     .on('failed', video => alert(video.error));
+   */
+  jobs = {
+    /**
+     * Watch jobs until each one completes, fails or is canceled
+     * @param ids - Video job IDs (or the Videos returned by create/createBatch)
+     * @param options - fallbackAfterMs, intervalMs, maxIntervalMs, timeoutMs, concurrency, signal
+     * @returns JobWatcher - an EventEmitter ('status', 'completed', 'failed', 'canceled', 'timeout',
+     *          'error', 'done') and an async iterator of JobWatchEvents. Jobs that no webhook
+     *          reports within fallbackAfterMs are polled with videos.retrieve().
+     */
+    watch: (ids: (string | Video)[], options: WatchOptions = {}): JobWatcher => {
+      return new JobWatcher(ids, options, {
+        retrieve: (id, signal) => this.videos.retrieve(id, { signal }),
+        subscribe: listener => {
+          this.webhookListeners.add(listener);
+          return () => this.webhookListeners.delete(listener);
+        },
+        hasReceiver: this.webhookReceiverAttached
+      });
+    },
+
+    /**
+     * Feed a verified event to active watchers. webhooks.middleware() does this already;
+     * call it from receivers built on constructEvent(), and pass fallbackAfterMs to watch().
+     */
+    notify: (event: WebhookEvent): void => {
+      this.webhookListeners.forEach(listener => listener(event));
+      this.recordStatus(event.data).catch(() => undefined);
+    },
+
+    /**
+     * Watch the unfinished jobs recorded in ClientOptions.jobStore, e.g. after a restart
+     * @param options - Watch options (see watch())
+     * @returns JobWatcher over every stored job that is still queued or processing
+     *
+     * Example:
+     *   const vloex = new Vloex({ jobStore: new FileJobStore('.vloex/jobs.json') });
+     *   const videos = await (await vloex.jobs.resume()).done;
+     */
+    resume: async (options: WatchOptions = {}): Promise<JobWatcher> => {
+      if (!this.options.jobStore) {
+        throw new Error('jobs.resume() needs a jobStore: new Vloex({ jobStore: new FileJobStore(path) })');
+      }
+      const unfinished = (await this.options.jobStore.list())
+        .filter(job => !isTerminal(job.status))
+        .map(storedVideo);
+      return this.jobs.watch(unfinished, options);
     }
   };
 
+  /**
+   * Scripts resource - build narration offline
+   *
+   * Example:
+   *   const script = vloex.scripts.fromReleaseNotes(release.body, { product: 'Acme', version: release.tag_name });
+   *   await vloex.videos.create({ script });
+   */
+  scripts = {
+    fromReleaseNotes,
+    parseReleaseNotes
+  };
+
   /**
    * Internal: Make HTTP request
    */
-  private async request(method: string, path: string, body?: any, idempotencyKey?: string): Promise<any> {
+  private async request(method: string, path: string, body?: any, options: RequestOptions = {}): Promise<any> {
     const url = `${this.baseUrl}${path}`;
 
-    const headers: any = {
+    const isMultipart = body instanceof MultipartBody;
+    const encodedBody = isMultipart ? body.toBuffer() : body ? JSON.stringify(body) : undefined;
+
+    const headers: Record<string, string> = {
       'Authorization': `Bearer ${this.apiKey}`,
-      'Content-Type': 'application/json',
+      'Content-Type': isMultipart ? body.contentType : 'application/json',
+      'User-Agent': this.options.userAgentSuffix
+        ? `${USER_AGENT} ${this.options.userAgentSuffix}`
+        : USER_AGENT,
+      ...this.options.defaultHeaders,
+      ...options.headers
     };
 
+    // Billable creates always carry an idempotency key so retries never double-charge
+    let idempotencyKey = options.idempotencyKey;
+    if (!idempotencyKey && method === 'POST' && IDEMPOTENT_POST_PATHS.includes(path)) {
+      idempotencyKey = crypto.randomUUID();
+    }
+
     // Add idempotency key if provided
     if (idempotencyKey) {
       headers['Idempotency-Key'] = idempotencyKey;
     }
 
-    const response = await fetch(url, {
+    // Only safe or idempotent requests are retried
+    const maxRetries = method === 'GET' || method === 'DELETE' || idempotencyKey
+      ? options.maxRetries ?? this.options.maxRetries ?? DEFAULT_MAX_RETRIES
+      : 0;
+    const timeoutMs = options.timeoutMs ?? this.options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+    // Shared by every hook of this call; onRequest may add headers
+    const context: RequestContext = {
       method,
+      path,
+      url,
       headers,
-      body: body ? JSON.stringify(body) : undefined,
-    });
+      body,
+      attempt: 0,
+      idempotencyKey,
+      startTime: Date.now(),
+      state: {},
+      attributes: spanAttributes(method, url, path, idempotencyKey)
+    };
 
-    const data = await response.json();
+    let response: any;
+    let text = '';
+    let data: any;
+    let rateLimit: RateLimitInfo | undefined;
+    let responseContext: ResponseContext;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        let retryInfo: Pick<RetryInfo, 'status' | 'error'>;
+        let retryAfterMs: number | undefined;
 
-    if (!response.ok) {
-      throw new VloexError(
-        data.detail || data.message || 'API request failed',
-        response.status
-      );
+        context.attempt = attempt;
+        if (attempt > 0) {
+          context.attributes['http.request.resend_count'] = attempt;
+        }
+        await this.runHooks('onRequest', context);
+        if (this.limiter) {
+          await this.limiter.acquire(options.signal);
+        }
+
+        // Each attempt gets its own timeout; the caller's signal aborts all of them.
+        // node-fetch's own `timeout` option covers Node versions without AbortController.
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+        const onAbort = () => controller?.abort();
+        options.signal?.addEventListener('abort', onAbort, { once: true });
+        let timedOut = false;
+        const timer = setTimeout(() => {
+          timedOut = true;
+          controller?.abort();
+        }, timeoutMs);
+
+        try {
+          if (options.signal?.aborted) {
+            throw abortError();
+          }
+
+          response = await this.fetch(url, {
+            method,
+            headers,
+            body: encodedBody,
+            signal: controller?.signal,
+            timeout: timeoutMs,
+            agent: this.options.httpAgent
+          });
+          text = await response.text();
+
+          rateLimit = parseRateLimit(name => response.headers.get(name), response.status);
+          if (rateLimit) {
+            this.lastRateLimit = rateLimit;
+          }
+          this.limiter?.update(rateLimit, response.status);
+
+          if (attempt >= maxRetries || !isRetryableStatus(response.status)) {
+            break;
+          }
+          retryInfo = { status: response.status };
+          retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        } catch (error: any) {
+          const failure = timedOut
+            ? new TimeoutError(`Request to ${path} timed out after ${timeoutMs}ms`, { cause: error })
+            : error;
+
+          if (attempt >= maxRetries || !(timedOut || isRetryableError(error))) {
+            response = undefined;
+            throw errorFromNetwork(failure);
+          }
+          retryInfo = { error: failure };
+        } finally {
+          clearTimeout(timer);
+          options.signal?.removeEventListener('abort', onAbort);
+          this.limiter?.release();
+        }
+
+        const delayMs = computeRetryDelay(attempt + 1, this.options, retryAfterMs);
+        const info: RetryInfo = { attempt: attempt + 1, delayMs, method, path, idempotencyKey, ...retryInfo };
+        if (this.options.onRetry) {
+          this.options.onRetry(info);
+        }
+        this.hooks.forEach(hook => hook.onRetry?.(info, context));
+        await sleep(delayMs, options.signal);
+      }
+
+      const responseHeaders: Record<string, string> = {};
+      response.headers.forEach((value: string, name: string) => {
+        responseHeaders[name] = value;
+      });
+      const requestId = responseHeaders['x-request-id'];
+      context.attributes['http.response.status_code'] = response.status;
+      if (requestId) {
+        context.attributes['vloex.request_id'] = requestId;
+      }
+
+      if (!response.ok) {
+        throw errorFromResponse(response.status, text, responseHeaders);
+      }
+
+      // 204 No Content (e.g. DELETE) has nothing to parse
+      data = text ? parseJson(text) : {};
+      if (data === undefined) {
+        throw new VloexError('Invalid JSON in API response', response.status, { requestId, rawBody: text });
+      }
+      // `null` or a bare value would crash the response transforms
+      if (data === null || typeof data !== 'object') {
+        throw new VloexError('Unexpected API response: expected a JSON object', response.status, { requestId, rawBody: text });
+      }
+
+      const durationMs = Date.now() - context.startTime;
+      const jobId = data.job_id || (path.startsWith('/v1/jobs/') ? data.id : undefined);
+      if (jobId && !context.attributes['vloex.job_id']) {
+        context.attributes['vloex.job_id'] = jobId;
+      }
+      context.attributes['vloex.duration_ms'] = durationMs;
+
+      responseContext = {
+        ...context,
+        status: response.status,
+        responseHeaders,
+        requestId,
+        data,
+        durationMs,
+        rateLimit
+      };
+    } catch (error: any) {
+      const durationMs = Date.now() - context.startTime;
+      context.attributes['error.type'] = error.name || 'Error';
+      context.attributes['vloex.duration_ms'] = durationMs;
+
+      await this.runHooks('onError', {
+        ...context,
+        error,
+        status: response?.status,
+        requestId: error.requestId,
+        durationMs
+      });
+      throw error;
     }
 
+    // Outside the try: the request succeeded, so a throwing onResponse hook must not reach onError
+    await this.runHooks('onResponse', responseContext);
+
     // Transform API response to SDK format
-    if (path.includes('/generate')) {
+    if (path.endsWith('/estimate')) {
       return {
+        durationSeconds: data.duration_seconds ?? data.durationSeconds,
+        cost: data.cost ?? data.estimated_cost,
+        currency: data.currency || 'USD'
+      };
+    }
+
+    if (path.includes('/generate') || path.endsWith('/from-journey/async')) {
+      const video: Video = {
         id: data.job_id || data.id,
         status: data.status,
         url: data.url,
         error: data.error
       };
+      if (typeof data.cost === 'number') {
+        video.cost = data.cost;
+      }
+      return video;
     }
 
-    if (path.includes('/status')) {
+    if (path === '/v1/jobs' || path.startsWith('/v1/jobs?')) {
       return {
-        id: data.id,
-        status: data.status,
-        url: data.video_url || data.url,
-        error: data.error_message || data.error
+        data: (data.data || []).map(toVideo),
+        hasMore: !!data.has_more,
+        nextCursor: data.next_cursor || undefined
+      };
+    }
+
+    if (CATALOG_PATHS.includes(path)) {
+      return (Array.isArray(data) ? data : data.data || []).map((item: any) => {
+        const entry: any = { ...item, previewUrl: item.preview_url || item.previewUrl };
+        delete entry.preview_url;
+        return entry;
+      });
+    }
+
+    if (path.includes('/status') || path.endsWith('/cancel')) {
+      return toVideo(data);
+    }
+
+    if (method === 'DELETE' && path.startsWith('/v1/jobs/')) {
+      return {
+        id: data.id || data.job_id || path.split('/').pop(),
+        deleted: data.deleted ?? true
       };
     }
 
@@ -188,15 +1036,310 @@ class Vloex {
 
     return data;
   }
+
+  /**
+   * Internal: Create a billable job, or return the one ClientOptions.jobStore recorded for its idempotency key
+   */
+  private async createJob(
+    kind: StoredJob['kind'],
+    path: string,
+    options: RequestOptions,
+    buildBody: () => Promise<BillableRequest>
+  ): Promise<Video> {
+    const store = this.options.jobStore;
+    if (!store) {
+      return this.submitBillable(path, await buildBody(), options);
+    }
+
+    // The key is generated here rather than in request() so it can be recorded
+    const idempotencyKey = options.idempotencyKey || crypto.randomUUID();
+    const stored = await store.findByIdempotencyKey(idempotencyKey);
+    if (stored) {
+      return storedVideo(stored);
+    }
+
+    const video: Video = await this.submitBillable(path, await buildBody(), { ...options, idempotencyKey });
+    const now = new Date().toISOString();
+    await store.set({
+      id: video.id,
+      idempotencyKey,
+      kind,
+      status: video.status || 'queued',
+      url: video.url,
+      error: video.error,
+      createdAt: now,
+      updatedAt: now
+    });
+    return video;
+  }
+
+  /**
+   * Internal: POST to a billable endpoint, estimating first and counting the cost when ClientOptions.budget is set
+   */
+  private async submitBillable(path: string, { body, estimateBody = body }: BillableRequest, options: RequestOptions): Promise<any> {
+    const budget = this.budgetTracker;
+    if (!budget) {
+      return this.request('POST', path, body, options);
+    }
+
+    const estimate: CostEstimate = await this.request('POST', ESTIMATE_PATHS[path], estimateBody, {
+      idempotencyKey: crypto.randomUUID(),
+      signal: options.signal
+    });
+    const release = budget.reserve(estimate);
+    try {
+      const result = await this.request('POST', path, body, options);
+      // Synchronous journeys have no job ID to report a cost for later
+      budget.charge(
+        result.id || options.idempotencyKey || crypto.randomUUID(),
+        Number.isFinite(result.cost) ? result.cost : estimate.cost
+      );
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Internal: Write a job's latest status to ClientOptions.jobStore (if recorded there),
+   * and its reported cost to the budget
+   */
+  private async recordStatus(video: Video): Promise<void> {
+    if (video.cost !== undefined && this.budgetTracker?.has(video.id)) {
+      this.budgetTracker.charge(video.id, video.cost);
+    }
+
+    const store = this.options.jobStore;
+    const stored = store && (await store.get(video.id));
+    if (!store || !stored || (stored.status === video.status && stored.url === video.url)) {
+      return;
+    }
+    await store.set({
+      ...stored,
+      status: video.status,
+      url: video.url ?? stored.url,
+      error: video.error ?? stored.error,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Internal: Run one hook of every registered RequestHooks, in order
+   */
+  private async runHooks<K extends 'onRequest' | 'onResponse' | 'onError'>(
+    name: K,
+    context: Parameters<NonNullable<RequestHooks[K]>>[0]
+  ): Promise<void> {
+    for (const hook of this.hooks) {
+      await (hook[name] as ((context: any) => void | Promise<void>) | undefined)?.(context);
+    }
+  }
 }
 
 /**
- * Initialize VLOEX SDK
- * @param apiKey - Your VLOEX API key
- * @param baseUrl - Optional custom base URL
+ * Transform a job from the API to SDK format
  */
-export default function vloex(apiKey: string, baseUrl?: string): Vloex {
-  return new Vloex(apiKey, baseUrl);
+function toVideo(data: any): Video {
+  const video: Video = {
+    id: data.id || data.job_id,
+    status: data.status,
+    url: data.video_url || data.url,
+    error: data.error_message || data.error
+  };
+  if (data.created_at) {
+    video.createdAt = data.created_at;
+  }
+  if (typeof data.cost === 'number') {
+    video.cost = data.cost;
+  }
+  return video;
 }
 
-export { Vloex, Video, GenerateParams, VloexError, JourneyParams, JourneyVideo };
+/**
+ * Request body for /v1/generate and its estimate
+ */
+function buildGenerateBody(params: GenerateParams): any {
+  const { input, scenes } = serializeScript(params.script);
+  const payload: any = {
+    input,
+    options: serializeVideoOptions(params.options)
+  };
+
+  if (scenes) {
+    payload.scenes = scenes;
+  }
+
+  if (params.webhookUrl) {
+    payload.webhook_url = params.webhookUrl;
+  }
+
+  if (params.webhookSecret) {
+    payload.webhook_secret = params.webhookSecret;
+  }
+
+  return payload;
+}
+
+function storedVideo(job: StoredJob): Video {
+  const video: Video = { id: job.id, status: job.status };
+  if (job.url) {
+    video.url = job.url;
+  }
+  if (job.error) {
+    video.error = job.error;
+  }
+  return video;
+}
+
+function toISOString(date: Date | string): string {
+  return date instanceof Date ? date.toISOString() : date;
+}
+
+// The default export: a Vloex constructor that also works without `new`
+interface VloexFactory {
+  new (options?: ClientOptions): Vloex;
+  new (apiKey: string | undefined, baseUrl?: string, options?: ClientOptions): Vloex;
+  (options?: ClientOptions): Vloex;
+  (apiKey: string | undefined, baseUrl?: string, options?: ClientOptions): Vloex;
+  prototype: Vloex;
+}
+
+/**
+ * Initialize VLOEX SDK - new Vloex(...) and Vloex(...) both return a client
+ * @param apiKey - Your VLOEX API key (or a ClientOptions object)
+ * @param baseUrl - Optional custom base URL
+ * @param options - Optional client settings (timeoutMs, maxRetries, fetch, ...)
+ */
+const vloex = function (apiKeyOrOptions?: string | ClientOptions, baseUrl?: string, options?: ClientOptions): Vloex {
+  // Returning an object from a function called with `new` makes it the result
+  return typeof apiKeyOrOptions === 'object'
+    ? new Vloex(apiKeyOrOptions)
+    : new Vloex(apiKeyOrOptions, baseUrl, options);
+} as VloexFactory;
+
+// `client instanceof` the default export works like `instanceof Vloex`
+vloex.prototype = Vloex.prototype;
+
+export default vloex;
+
+export {
+  Vloex,
+  Video,
+  GenerateParams,
+  VloexError,
+  VloexSignatureError,
+  JourneyParams,
+  JourneyVideo,
+  WebhookEvent,
+  WebhookEventType,
+  VideoCompletedEvent,
+  VideoFailedEvent,
+  ConstructEventOptions,
+  TestHeaderParams,
+  TestHeader,
+  RetryOptions,
+  RetryInfo,
+  WaitOptions,
+  CreateAndWaitOptions,
+  VideoFailedError,
+  WaitTimeoutError,
+  AuthenticationError,
+  InsufficientCreditsError,
+  InvalidRequestError,
+  RateLimitError,
+  APIConnectionError,
+  TimeoutError,
+  ErrorDetails,
+  FieldError,
+  ClientOptions,
+  RequestOptions,
+  FetchFunction,
+  ScreenshotInput,
+  ScreenshotObject,
+  ScreenshotSource,
+  ImageMimeType,
+  JourneyPage,
+  JourneyAuth,
+  FormLoginAuth,
+  CookieAuth,
+  HeaderAuth,
+  BearerAuth,
+  JourneyMode,
+  ScreenshotJourneyParams,
+  GuidedJourneyParams,
+  AutonomousJourneyParams,
+  BatchOptions,
+  BatchItemResult,
+  WaitForAllOptions,
+  PolledVideo,
+  ListVideosParams,
+  Page,
+  DownloadOptions,
+  DownloadProgress,
+  DownloadResult,
+  VideoNotReadyError,
+  VideoCanceledError,
+  VideoCanceledEvent,
+  DeletedVideo,
+  VideoOptions,
+  KnownAvatar,
+  KnownVoice,
+  KnownBackground,
+  AvatarId,
+  VoiceId,
+  BackgroundId,
+  Resolution,
+  AspectRatio,
+  Avatar,
+  Voice,
+  Background,
+  Scene,
+  ScriptInput,
+  ScriptEstimate,
+  PagePromise,
+  Script,
+  SCRIPT_LIMITS,
+  ReleaseNotesOptions,
+  ReleaseHighlight,
+  ReleaseCategory,
+  ReleaseTone,
+  fromReleaseNotes,
+  parseReleaseNotes,
+  VERSION,
+  RequestHooks,
+  RequestContext,
+  ResponseContext,
+  ErrorContext,
+  SpanAttributes,
+  DebugLogger,
+  redactHeaders,
+  redactBody,
+  RateLimitInfo,
+  RateLimitQueueOptions,
+  WebhookMiddlewareOptions,
+  WebhookMiddleware,
+  WebhookHandler,
+  WebhookResult,
+  DedupeStore,
+  MemoryDedupeStore,
+  createWebhookMiddleware,
+  WatchOptions,
+  JobWatchEvent,
+  JobWatchEventType,
+  JobWatcher,
+  StoredJob,
+  JobStore,
+  MemoryJobStore,
+  FileJobStore,
+  CostEstimate,
+  BudgetOptions,
+  BudgetStatus,
+  BudgetExceededError,
+  VloexFactory
+};
+
+// CommonJS: require('@vloex/sdk') is the default export itself, carrying every named export,
+// so require('@vloex/sdk')(key), new (require('@vloex/sdk'))(key) and require('@vloex/sdk').Vloex
+// all work. index.mts re-exports this same object, so ESM and CJS share every class.
+module.exports = Object.assign(vloex, module.exports, { default: vloex });
+Object.defineProperty(module.exports, '__esModule', { value: true });
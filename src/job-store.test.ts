@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileJobStore } from './job-store';
+import { StoredJob } from './types';
+
+function job(id: string, fields: Partial<StoredJob> = {}): StoredJob {
+  return {
+    id,
+    idempotencyKey: `key_${id}`,
+    kind: 'video',
+    status: 'queued',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+describe('FileJobStore', () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vloex-jobs-'));
+    file = path.join(dir, 'cache', 'jobs.json');
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('starts empty when the file does not exist', async () => {
+    const store = new FileJobStore(file);
+
+    expect(await store.list()).toEqual([]);
+    expect(await store.get('job_1')).toBeUndefined();
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  it('keeps jobs for the next instance, creating the directory', async () => {
+    const first = new FileJobStore(file);
+    await first.set(job('job_1'));
+    await first.set(job('job_2'));
+    await first.set(job('job_1', { status: 'completed', url: 'https://cdn.vloex.com/job_1.mp4' }));
+    await first.delete('job_2');
+
+    const second = new FileJobStore(file);
+    expect(await second.list()).toEqual([job('job_1', { status: 'completed', url: 'https://cdn.vloex.com/job_1.mp4' })]);
+    expect(await second.findByIdempotencyKey('key_job_1')).toEqual(expect.objectContaining({ id: 'job_1' }));
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).version).toBe(1);
+  });
+
+  it('keeps every job when writes overlap', async () => {
+    const store = new FileJobStore(file);
+    const ids = Array.from({ length: 20 }, (_, i) => `job_${i}`);
+
+    await Promise.all(ids.map(id => store.set(job(id))));
+
+    expect((await new FileJobStore(file).list()).map(stored => stored.id).sort()).toEqual([...ids].sort());
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['jobs.json']);
+  });
+
+  it('reports a corrupt file and reads it again on the next call', async () => {
+    fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, '{ "jobs": [');
+    const store = new FileJobStore(file);
+
+    await expect(store.list()).rejects.toThrow(`Cannot read job store ${file}`);
+
+    fs.writeFileSync(file, JSON.stringify({ version: 1, jobs: [job('job_1')] }));
+    expect(await store.list()).toEqual([job('job_1')]);
+  });
+});
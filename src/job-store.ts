@@ -0,0 +1,126 @@
+/**
+ * VLOEX Job Store - remember created jobs across process restarts
+ *
+ * With a store configured, every job the client creates is recorded with its
+ * idempotency key, and every status it sees (retrieve, cancel, webhooks) is
+ * written back. Creating again with a recorded key returns the stored job
+ * instead of submitting - and paying for - a new one.
+ *
+ * Usage:
+ *   const vloex = new Vloex({ jobStore: new FileJobStore('.vloex/jobs.json') });
+ *
+ *   const watcher = await vloex.jobs.resume();     // Unfinished jobs of an earlier run
+ *   await vloex.videos.create({ script, idempotencyKey: `release-${tag}` });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { JobStore, StoredJob } from './types';
+
+/**
+ * Keeps jobs in process memory - for tests, or sharing one store between clients
+ */
+export class MemoryJobStore implements JobStore {
+  private jobs = new Map<string, StoredJob>();
+
+  get(id: string): StoredJob | undefined {
+    const job = this.jobs.get(id);
+    return job && { ...job };
+  }
+
+  findByIdempotencyKey(key: string): StoredJob | undefined {
+    for (const job of this.jobs.values()) {
+      if (job.idempotencyKey === key) {
+        return { ...job };
+      }
+    }
+    return undefined;
+  }
+
+  set(job: StoredJob): void {
+    this.jobs.set(job.id, { ...job });
+  }
+
+  delete(id: string): void {
+    this.jobs.delete(id);
+  }
+
+  list(): StoredJob[] {
+    return Array.from(this.jobs.values(), job => ({ ...job }));
+  }
+}
+
+/**
+ * Keeps jobs in a JSON file, e.g. one cached between CI runs.
+ * The file is read once, then rewritten atomically after every change.
+ */
+export class FileJobStore implements JobStore {
+  readonly path: string;
+  private memory?: Promise<MemoryJobStore>;
+  private writes: Promise<void> = Promise.resolve();
+
+  constructor(filePath: string) {
+    this.path = path.resolve(filePath);
+  }
+
+  async get(id: string): Promise<StoredJob | undefined> {
+    return (await this.load()).get(id);
+  }
+
+  async findByIdempotencyKey(key: string): Promise<StoredJob | undefined> {
+    return (await this.load()).findByIdempotencyKey(key);
+  }
+
+  async set(job: StoredJob): Promise<void> {
+    (await this.load()).set(job);
+    return this.save();
+  }
+
+  async delete(id: string): Promise<void> {
+    (await this.load()).delete(id);
+    return this.save();
+  }
+
+  async list(): Promise<StoredJob[]> {
+    return (await this.load()).list();
+  }
+
+  private load(): Promise<MemoryJobStore> {
+    if (!this.memory) {
+      this.memory = fs.promises.readFile(this.path, 'utf8')
+        .then(text => {
+          const store = new MemoryJobStore();
+          const data = JSON.parse(text);
+          (Array.isArray(data.jobs) ? data.jobs : []).forEach((job: StoredJob) => store.set(job));
+          return store;
+        })
+        .catch(error => {
+          if (error.code === 'ENOENT') {
+            return new MemoryJobStore();
+          }
+          // Unreadable or not JSON
+          throw new Error(`Cannot read job store ${this.path}: ${error.message}`);
+        });
+      // A failed read is retried on the next call
+      this.memory.catch(() => {
+        this.memory = undefined;
+      });
+    }
+    return this.memory;
+  }
+
+  /**
+   * Write the whole file; writes are queued so the last change always lands last
+   */
+  private save(): Promise<void> {
+    const write = this.writes.then(async () => {
+      const jobs = (await this.load()).list();
+      const temp = `${this.path}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(temp, JSON.stringify({ version: 1, jobs }, null, 2) + '\n');
+      await fs.promises.rename(temp, this.path);
+    });
+    this.writes = write.catch(() => undefined);
+    return write;
+  }
+}
@@ -0,0 +1,83 @@
+import { resolveJourneyMode, serializeAuth } from './journey';
+import { InvalidRequestError, JourneyParams } from './types';
+
+describe('resolveJourneyMode', () => {
+  it('defaults to screenshots or guided mode', () => {
+    expect(resolveJourneyMode({ productContext: 'Acme', screenshots: ['a.png'] })).toBe('screenshots');
+    expect(resolveJourneyMode({ productContext: 'Acme', productUrl: 'https://acme.dev' })).toBe('guided');
+    expect(resolveJourneyMode({ productContext: 'Acme', mode: 'autonomous', productUrl: 'https://acme.dev', goal: 'Tour' }))
+      .toBe('autonomous');
+  });
+
+  it('rejects mixed-mode input at compile time and at runtime', () => {
+    const mixed: JourneyParams[] = [
+      // @ts-expect-error autonomous-only field in guided mode
+      { productContext: 'Acme', productUrl: 'https://acme.dev', maxSteps: 5 },
+      // @ts-expect-error autonomous-only field in guided mode
+      { productContext: 'Acme', productUrl: 'https://acme.dev', allowUrlPatterns: ['/app/*'] },
+      // @ts-expect-error screenshot-only field in guided mode
+      { productContext: 'Acme', productUrl: 'https://acme.dev', descriptions: ['Home'] },
+      // @ts-expect-error screenshot-only field in autonomous mode
+      { productContext: 'Acme', mode: 'autonomous', productUrl: 'https://acme.dev', goal: 'Tour', upload: 'multipart' },
+      // @ts-expect-error autonomous-only field in screenshots mode
+      { productContext: 'Acme', screenshots: ['a.png'], denyUrlPatterns: ['/logout'] },
+      // @ts-expect-error URL field in screenshots mode
+      { productContext: 'Acme', screenshots: ['a.png'], productUrl: 'https://acme.dev' }
+    ];
+
+    for (const params of mixed) {
+      expect(() => resolveJourneyMode(params)).toThrow(InvalidRequestError);
+    }
+  });
+
+  it('names missing required fields', () => {
+    // @ts-expect-error autonomous mode needs a goal
+    expect(() => resolveJourneyMode({ productContext: 'Acme', mode: 'autonomous', productUrl: 'https://acme.dev' }))
+      .toThrow('autonomous mode requires goal');
+  });
+});
+
+describe('serializeAuth', () => {
+  const productUrl = 'https://app.acme.dev';
+
+  it('serializes form login, resolving the login URL against productUrl', () => {
+    expect(serializeAuth({ loginUrl: '/login', credentials: { email: 'a@acme.dev', password: 'pw' } }, productUrl)).toEqual({
+      type: 'form',
+      login_url: '/login',
+      credentials: { email: 'a@acme.dev', password: 'pw' },
+      selectors: undefined
+    });
+  });
+
+  it('serializes cookies, headers and bearer tokens', () => {
+    expect(serializeAuth({ type: 'cookies', cookies: [{ name: 'sid', value: 'abc', domain: 'acme.dev' }] }, productUrl)).toEqual({
+      type: 'cookies',
+      cookies: [{ name: 'sid', value: 'abc', domain: 'acme.dev', path: undefined }]
+    });
+    expect(serializeAuth({ type: 'headers', headers: { 'X-Api-Key': 'k' } }, productUrl))
+      .toEqual({ type: 'headers', headers: { 'X-Api-Key': 'k' } });
+    expect(serializeAuth({ type: 'bearer', token: 't' }, productUrl)).toEqual({ type: 'bearer', token: 't' });
+  });
+
+  it('never sends credentials over plain HTTP', () => {
+    const bearer = { type: 'bearer' as const, token: 't' };
+
+    expect(() => serializeAuth(bearer)).toThrow('auth requires productUrl');
+    expect(() => serializeAuth(bearer, 'http://app.acme.dev')).toThrow('productUrl must use https://');
+    expect(() => serializeAuth({ loginUrl: 'http://login.acme.dev', credentials: { password: 'pw' } }, productUrl))
+      .toThrow('auth.loginUrl must use https://');
+    expect(() => serializeAuth({ loginUrl: '//login.acme.dev/sign-in', credentials: { password: 'pw' } }, 'http://app.acme.dev'))
+      .toThrow(InvalidRequestError);
+    expect(() => serializeAuth(bearer, 'not a url')).toThrow('productUrl is not a valid URL');
+  });
+
+  it('rejects auth missing what its type needs', () => {
+    // @ts-expect-error bearer auth needs a token
+    expect(() => serializeAuth({ type: 'bearer' }, productUrl)).toThrow('auth.token is required for bearer auth');
+    // @ts-expect-error form login needs credentials
+    expect(() => serializeAuth({ loginUrl: '/login' }, productUrl))
+      .toThrow('auth.loginUrl and auth.credentials are required for form login');
+    // @ts-expect-error unknown auth type
+    expect(() => serializeAuth({ type: 'oauth' }, productUrl)).toThrow('Unknown auth type: oauth');
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * VLOEX Journey - client-side validation and serialization for videos.fromJourney
+ */
+
+import {
+  JourneyAuth,
+  JourneyPage,
+  JourneyMode,
+  JourneyParams,
+  ScreenshotJourneyParams,
+  InvalidRequestError
+} from './types';
+import { resolveScreenshots, ResolvedScreenshot, MultipartBody } from './screenshots';
+
+// Fields each mode accepts beyond the common settings
+const MODE_FIELDS: Record<JourneyMode, string[]> = {
+  screenshots: ['screenshots', 'descriptions', 'maxScreenshotBytes', 'maxImageDimension', 'upload'],
+  guided: ['productUrl', 'pages', 'auth'],
+  autonomous: ['productUrl', 'goal', 'maxSteps', 'allowUrlPatterns', 'denyUrlPatterns', 'auth']
+};
+
+// Fields each mode cannot do without
+const REQUIRED_FIELDS: Record<JourneyMode, string[]> = {
+  screenshots: ['screenshots'],
+  guided: ['productUrl'],
+  autonomous: ['productUrl', 'goal']
+};
+
+/**
+ * Work out the journey mode and reject mixed-mode input
+ * (the types already prevent this; this catches plain JavaScript callers)
+ * @throws InvalidRequestError naming the offending fields
+ */
+export function resolveJourneyMode(params: JourneyParams): JourneyMode {
+  const mode: JourneyMode = params.mode || (params.screenshots !== undefined ? 'screenshots' : 'guided');
+  const given = new Set(Object.entries(params).filter(([, value]) => value !== undefined).map(([field]) => field));
+
+  if (!MODE_FIELDS[mode]) {
+    throw new InvalidRequestError(`Unknown journey mode: ${mode}`);
+  }
+
+  const allowed = MODE_FIELDS[mode];
+  const foreign = Object.values(MODE_FIELDS)
+    .reduce((all, fields) => all.concat(fields), [] as string[])
+    .filter((field, i, all) => all.indexOf(field) === i && !allowed.includes(field))
+    .filter(field => given.has(field));
+
+  if (foreign.length > 0) {
+    throw new InvalidRequestError(`${foreign.join(', ')} cannot be used in ${mode} mode`);
+  }
+
+  const missing = REQUIRED_FIELDS[mode].filter(field => !given.has(field));
+  if (missing.length > 0) {
+    throw new InvalidRequestError(`${mode} mode requires ${missing.join(', ')}`);
+  }
+
+  if (!params.productContext) {
+    throw new InvalidRequestError('productContext is required');
+  }
+
+  return mode;
+}
+
+export interface JourneyRequest {
+  body: any;          // JSON payload or multipart form
+  estimateBody: any;  // Same journey without the images (only their count is priced), always JSON
+}
+
+/**
+ * Validate journey params and build the request body, plus the body for its cost estimate
+ * @throws InvalidRequestError for mixed-mode or invalid input
+ */
+export async function buildJourneyRequest(params: JourneyParams): Promise<JourneyRequest> {
+  // Reject mixed-mode input before doing any work
+  const mode = resolveJourneyMode(params);
+
+  const payload: any = {
+    mode,
+    product_context: params.productContext,
+    step_duration: params.stepDuration || 15,
+    avatar_position: params.avatarPosition || 'bottom-right',
+    tone: params.tone || 'professional'
+  };
+
+  // Mode 1: Screenshots provided (paths, Buffers, streams or base64)
+  const shotParams = params as ScreenshotJourneyParams;
+  let screenshots: ResolvedScreenshot[] = [];
+  if (mode === 'screenshots') {
+    screenshots = await resolveScreenshots(shotParams.screenshots, shotParams);
+
+    // Optional descriptions (Mode 1a vs 1b); per-screenshot descriptions win
+    const descriptions = screenshots.map((shot, i) => shot.description ?? shotParams.descriptions?.[i]);
+    const described = descriptions.filter(d => d !== undefined).length;
+
+    if (described === screenshots.length) {
+      payload.descriptions = descriptions;
+    } else if (described > 0) {
+      throw new InvalidRequestError('Provide a description for every screenshot or for none');
+    }
+  }
+
+  // Mode 2 and 3: URL-based (public or authenticated pages)
+  if (params.productUrl) {
+    payload.product_url = params.productUrl;
+  }
+
+  if (params.pages) {
+    payload.pages = serializePages(params.pages);
+  }
+
+  if (params.auth) {
+    payload.auth = serializeAuth(params.auth, params.productUrl);
+  }
+
+  // Async jobs: completion notification, same as videos.create
+  if (params.webhookUrl) {
+    payload.webhook_url = params.webhookUrl;
+  }
+
+  if (params.webhookSecret) {
+    payload.webhook_secret = params.webhookSecret;
+  }
+
+  // Mode 3: Autonomous exploration
+  if (params.mode === 'autonomous') {
+    payload.goal = params.goal;
+
+    if (params.maxSteps !== undefined) {
+      payload.max_steps = params.maxSteps;
+    }
+    if (params.allowUrlPatterns) {
+      payload.allow_url_patterns = params.allowUrlPatterns;
+    }
+    if (params.denyUrlPatterns) {
+      payload.deny_url_patterns = params.denyUrlPatterns;
+    }
+  }
+
+  if (mode !== 'screenshots') {
+    return { body: payload, estimateBody: payload };
+  }
+
+  // Estimates are sent before the job is submitted; uploading the images twice would be wasted
+  const estimateBody = { ...payload, screenshot_count: screenshots.length };
+
+  if (shotParams.upload === 'multipart') {
+    // Raw image parts instead of base64 strings (a third smaller on the wire)
+    const form = new MultipartBody().field('payload', JSON.stringify(payload));
+    screenshots.forEach((shot, i) => {
+      form.file('screenshots', `screenshot-${i + 1}.${shot.mimeType.split('/')[1]}`, shot.mimeType, shot.data);
+    });
+    return { body: form, estimateBody };
+  }
+
+  payload.screenshots = screenshots.map(shot => shot.data.toString('base64'));
+  return { body: payload, estimateBody };
+}
+
+/**
+ * Transform pages to API format; plain paths are sent unchanged
+ */
+export function serializePages(pages: (string | JourneyPage)[]): any[] {
+  return pages.map(page => {
+    if (typeof page === 'string') {
+      return page;
+    }
+    return page.description ? { path: page.path, description: page.description } : { path: page.path };
+  });
+}
+
+/**
+ * Validate and transform auth to API format
+ * @throws InvalidRequestError if credentials would be sent over plain HTTP
+ */
+export function serializeAuth(auth: JourneyAuth, productUrl?: string): any {
+  if (!productUrl) {
+    throw new InvalidRequestError('auth requires productUrl');
+  }
+  requireHttps(productUrl, 'productUrl');
+
+  switch (auth.type) {
+    case 'cookies':
+      return {
+        type: 'cookies',
+        cookies: auth.cookies.map(c => ({ name: c.name, value: c.value, domain: c.domain, path: c.path }))
+      };
+
+    case 'headers':
+      return { type: 'headers', headers: auth.headers };
+
+    case 'bearer':
+      if (!auth.token) {
+        throw new InvalidRequestError('auth.token is required for bearer auth');
+      }
+      return { type: 'bearer', token: auth.token };
+
+    case undefined:
+    case 'form':
+      if (!auth.loginUrl || !auth.credentials) {
+        throw new InvalidRequestError('auth.loginUrl and auth.credentials are required for form login');
+      }
+      requireHttps(new URL(auth.loginUrl, productUrl).toString(), 'auth.loginUrl');
+      return {
+        type: 'form',
+        login_url: auth.loginUrl,
+        credentials: auth.credentials,
+        selectors: auth.selectors
+      };
+
+    default: {
+      // Fails to compile when a JourneyAuth type is added without a case;
+      // plain JavaScript callers can still get here with any type
+      const unhandled: never = auth;
+      throw new InvalidRequestError(`Unknown auth type: ${(unhandled as JourneyAuth).type}`);
+    }
+  }
+}
+
+function requireHttps(url: string, field: string): void {
+  let protocol: string;
+  try {
+    protocol = new URL(url).protocol;
+  } catch (e) {
+    throw new InvalidRequestError(`${field} is not a valid URL: ${url}`);
+  }
+
+  if (protocol !== 'https:') {
+    throw new InvalidRequestError(`${field} must use https:// when auth is set, so credentials are never sent in clear text`);
+  }
+}
@@ -0,0 +1,102 @@
+import { redactBody, redactHeaders } from './observability';
+import { MultipartBody } from './screenshots';
+import { createMockVloex } from './testing';
+
+describe('redactHeaders', () => {
+  it('masks credentials and keeps everything else', () => {
+    expect(redactHeaders({
+      Authorization: 'Bearer sk_live',
+      'X-Api-Key': 'k',
+      Cookie: 'sid=abc',
+      'Content-Type': 'application/json',
+      'Idempotency-Key': 'key_1'
+    })).toEqual({
+      Authorization: '[redacted]',
+      'X-Api-Key': '[redacted]',
+      Cookie: '[redacted]',
+      'Content-Type': 'application/json',
+      'Idempotency-Key': 'key_1'
+    });
+  });
+});
+
+describe('redactBody', () => {
+  it('masks secret fields at any depth, leaving empty ones visible', () => {
+    expect(redactBody(JSON.stringify({
+      script: 'Hi',
+      webhook_secret: 'whsec',
+      options: { api_key: 'k', password: '' }
+    }))).toEqual({
+      script: 'Hi',
+      webhook_secret: '[redacted]',
+      options: { api_key: '[redacted]', password: '' }
+    });
+  });
+
+  it('masks every auth value except the public keys', () => {
+    expect(redactBody({
+      product_url: 'https://app.acme.dev',
+      auth: {
+        type: 'cookies',
+        login_url: '/login',
+        cookies: [{ name: 'sid', value: 'abc', domain: 'acme.dev', path: '/' }],
+        headers: { 'X-Tenant': 'acme' }
+      }
+    })).toEqual({
+      product_url: 'https://app.acme.dev',
+      auth: {
+        type: 'cookies',
+        login_url: '/login',
+        cookies: '[redacted]',
+        headers: { 'X-Tenant': '[redacted]' }
+      }
+    });
+  });
+
+  it('shortens base64 screenshots', () => {
+    const image = Buffer.alloc(300, 1).toString('base64');
+
+    expect(redactBody({ screenshots: [image, `data:image/png;base64,${image}`] }))
+      .toEqual({ screenshots: [`[base64, ${image.length} chars]`, `[base64, ${image.length + 22} chars]`] });
+  });
+
+  it('summarizes multipart bodies', () => {
+    const body = new MultipartBody()
+      .field('product_context', 'Acme')
+      .field('webhook_secret', 'whsec')
+      .file('screenshots', 'home.png', 'image/png', Buffer.alloc(64));
+
+    expect(redactBody(body.toBuffer(), body.contentType)).toEqual([
+      { name: 'product_context', value: 'Acme' },
+      { name: 'webhook_secret', value: '[redacted]' },
+      { name: 'screenshots', filename: 'home.png', bytes: 64 }
+    ]);
+    expect(redactBody(body.toBuffer())).toBe(`[${body.toBuffer().length} bytes]`);
+  });
+
+  it('passes through empty and non-JSON bodies', () => {
+    expect(redactBody(undefined)).toBeUndefined();
+    expect(redactBody(null)).toBeUndefined();
+    expect(redactBody('plain text')).toBe('plain text');
+  });
+});
+
+describe('request hooks', () => {
+  it('does not report a throwing onResponse hook as a failed request', async () => {
+    const failure = new Error('metrics down');
+    const onError = jest.fn();
+    const { vloex, server, close } = await createMockVloex({
+      client: {
+        maxRetries: 2,
+        hooks: [{ onResponse: () => { throw failure; }, onError }]
+      }
+    });
+    try {
+      await expect(vloex.videos.list()).rejects.toBe(failure);
+      expect(onError).not.toHaveBeenCalled();
+      expect(server.requests).toHaveLength(1);
+    } finally {
+      await close();
+    }
+  });
+});
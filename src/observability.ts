@@ -0,0 +1,161 @@
+/**
+ * VLOEX Observability - span attributes, redaction and the debug logger
+ *
+ * Usage:
+ *   const vloex = new Vloex({ debug: true });  // or VLOEX_DEBUG=1
+ *
+ *   const vloex = new Vloex({
+ *     hooks: [{
+ *       onRequest: ctx => { ctx.headers.traceparent = currentTraceparent(); },
+ *       onResponse: ctx => metrics.timing('vloex.request', ctx.durationMs, ctx.attributes)
+ *     }]
+ *   });
+ */
+
+import { RequestContext, RequestHooks, SpanAttributes, DebugLogger } from './types';
+import { MultipartBody } from './screenshots';
+
+// Body fields whose values never appear in logs or dry-run output
+const SECRET_KEYS = /secret|password|token|cookie|authorization|api[_-]?key|credentials/i;
+
+// Inside a journey's `auth`, every value is masked except these (session headers and cookies have arbitrary names)
+const PUBLIC_AUTH_KEYS = ['type', 'login_url', 'loginUrl', 'name', 'domain', 'path'];
+
+// Strings this long made only of base64 characters are screenshot payloads
+const MIN_BASE64_LENGTH = 200;
+
+/**
+ * Initial span attributes for a call
+ */
+export function spanAttributes(method: string, url: string, path: string, idempotencyKey?: string): SpanAttributes {
+  const attributes: SpanAttributes = {
+    'http.request.method': method,
+    'url.full': url,
+    'url.path': path.split('?')[0],
+    'server.address': new URL(url).hostname
+  };
+  if (idempotencyKey) {
+    attributes['vloex.idempotency_key'] = idempotencyKey;
+  }
+
+  const jobId = jobIdFromPath(path);
+  if (jobId) {
+    attributes['vloex.job_id'] = jobId;
+  }
+  return attributes;
+}
+
+/**
+ * Job ID from /v1/jobs/:id[/...] paths
+ */
+export function jobIdFromPath(path: string): string | undefined {
+  const match = /^\/v1\/jobs\/([^/?]+)/.exec(path);
+  return match ? decodeURIComponent(match[1]) : undefined;
+}
+
+export function redactHeaders(headers: Record<string, string>): Record<string, string> {
+  const redacted: Record<string, string> = {};
+  for (const [name, value] of Object.entries(headers)) {
+    redacted[name] = SECRET_KEYS.test(name) ? '[redacted]' : value;
+  }
+  return redacted;
+}
+
+/**
+ * Printable request body: secrets masked, base64 screenshots shortened, multipart summarized
+ * @param body - Encoded body (JSON string or multipart Buffer) or a plain object
+ * @param contentType - Content-Type header, for the multipart boundary
+ */
+export function redactBody(body: any, contentType?: string): any {
+  if (body === undefined || body === null) {
+    return undefined;
+  }
+
+  if (Buffer.isBuffer(body)) {
+    const boundary = /boundary=(.+)$/.exec(contentType || '');
+    if (!boundary) {
+      return `[${body.length} bytes]`;
+    }
+    return body.toString('latin1')
+      .split(`--${boundary[1]}`)
+      .map(part => /name="([^"]+)"(?:; filename="([^"]+)")?\r\n(?:Content-Type: [^\r]+\r\n)?\r\n([\s\S]*)\r\n$/.exec(part))
+      .filter((match): match is RegExpExecArray => !!match)
+      .map(match => match[2]
+        ? { name: match[1], filename: match[2], bytes: match[3].length }
+        : { name: match[1], value: redactValue(match[1], Buffer.from(match[3], 'latin1').toString('utf8')) });
+  }
+
+  let data = body;
+  if (typeof body === 'string') {
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+  }
+  return redactValue('', data);
+}
+
+function redactValue(key: string, value: any, inAuth = false): any {
+  if (key && SECRET_KEYS.test(key) && value !== undefined && value !== null && value !== '') {
+    return '[redacted]';
+  }
+  inAuth = inAuth || key === 'auth';
+  if (typeof value === 'string') {
+    if (inAuth && !PUBLIC_AUTH_KEYS.includes(key)) {
+      return '[redacted]';
+    }
+    return value.length >= MIN_BASE64_LENGTH && /^(data:[\w/+.-]+;base64,)?[A-Za-z0-9+/=\r\n]+$/.test(value)
+      ? `[base64, ${value.length} chars]`
+      : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue('', item, inAuth));
+  }
+  if (value && typeof value === 'object') {
+    const out: any = {};
+    for (const [name, item] of Object.entries(value)) {
+      out[name] = redactValue(name, item, inAuth);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Hooks behind ClientOptions.debug: one line per request, response, retry and failure
+ */
+export function createDebugHooks(log: DebugLogger): RequestHooks {
+  const describe = (context: RequestContext) => `${context.method} ${context.path}`;
+
+  return {
+    onRequest: context => {
+      const lines = [`[vloex] → ${describe(context)}${context.attempt > 0 ? ` (retry ${context.attempt})` : ''}`];
+      lines.push(`  headers: ${JSON.stringify(redactHeaders(context.headers))}`);
+      const body = context.body instanceof MultipartBody
+        ? redactBody(context.body.toBuffer(), context.body.contentType)
+        : redactBody(context.body);
+      if (body !== undefined) {
+        lines.push(`  body: ${JSON.stringify(body)}`);
+      }
+      log(lines.join('\n'));
+    },
+    onResponse: context => {
+      const details = [
+        `${context.durationMs}ms`,
+        context.requestId && `request_id=${context.requestId}`,
+        context.attributes['vloex.job_id'] && `job_id=${context.attributes['vloex.job_id']}`
+      ].filter(Boolean);
+      log(`[vloex] ← ${context.status} ${describe(context)} ${details.join(' ')}`);
+    },
+    onRetry: (info, context) => {
+      const reason = info.status ? `status ${info.status}` : info.error ? info.error.message : 'unknown error';
+      log(`[vloex] ↻ ${describe(context)} retry ${info.attempt} in ${Math.round(info.delayMs)}ms (${reason})`);
+    },
+    onError: context => {
+      const status = context.status ? `${context.status} ` : '';
+      const requestId = context.requestId ? ` request_id=${context.requestId}` : '';
+      log(`[vloex] ✗ ${status}${describe(context)} ${context.durationMs}ms${requestId} ${context.error.name}: ${context.error.message}`);
+    }
+  };
+}
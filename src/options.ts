@@ -0,0 +1,56 @@
+/**
+ * VLOEX Options - client-side validation for videos.create() options
+ */
+
+import { VideoOptions, Resolution, AspectRatio, FieldError, InvalidRequestError } from './types';
+
+const RESOLUTIONS: Resolution[] = ['720p', '1080p', '4k'];
+const ASPECT_RATIOS: AspectRatio[] = ['16:9', '9:16', '1:1', '4:5'];
+
+// BCP 47 language tag: 'en', 'en-US', 'zh-Hant-TW'
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Validate options and transform them to API format
+ * @throws InvalidRequestError listing every invalid field
+ */
+export function serializeVideoOptions(options: VideoOptions = {}): any {
+  const errors: FieldError[] = [];
+  const invalid = (field: string, message: string) => errors.push({ field: `options.${field}`, message });
+
+  for (const field of ['avatar', 'voice', 'background'] as const) {
+    const value = options[field];
+    if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+      invalid(field, 'must be a non-empty string');
+    }
+  }
+
+  if (options.resolution !== undefined && !RESOLUTIONS.includes(options.resolution)) {
+    invalid('resolution', `must be one of ${RESOLUTIONS.join(', ')}`);
+  }
+
+  if (options.aspectRatio !== undefined && !ASPECT_RATIOS.includes(options.aspectRatio)) {
+    invalid('aspectRatio', `must be one of ${ASPECT_RATIOS.join(', ')}`);
+  }
+
+  if (options.language !== undefined && !LANGUAGE_TAG.test(options.language)) {
+    invalid('language', 'must be a BCP 47 tag such as "en-US"');
+  }
+
+  if (options.captions !== undefined && typeof options.captions !== 'boolean') {
+    invalid('captions', 'must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    const message = errors.map(e => `${e.field} ${e.message}`).join('; ');
+    throw new InvalidRequestError(message, undefined, undefined, errors);
+  }
+
+  // Unknown keys pass through untouched, so new API options work before the SDK knows them
+  const { aspectRatio, ...rest } = options;
+  const payload: any = { ...rest };
+  if (aspectRatio !== undefined) {
+    payload.aspect_ratio = aspectRatio;
+  }
+  return payload;
+}
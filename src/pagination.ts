@@ -0,0 +1,67 @@
+/**
+ * VLOEX Pagination - cursor pages that can be awaited or iterated
+ *
+ * Usage:
+ *   const page = await vloex.videos.list({ limit: 20 });  // one page
+ *   for await (const video of vloex.videos.list()) { }    // every item, page by page
+ */
+
+import { Page } from './types';
+
+type PageFetcher<T> = (cursor?: string) => Promise<Page<T>>;
+
+/**
+ * Result of a list call: resolves to the first page, iterates over every item
+ */
+export class PagePromise<T> implements PromiseLike<Page<T>>, AsyncIterable<T> {
+  private fetchPage: PageFetcher<T>;
+  private firstPage?: Promise<Page<T>>;
+
+  constructor(fetchPage: PageFetcher<T>) {
+    this.fetchPage = fetchPage;
+  }
+
+  then<R1 = Page<T>, R2 = never>(
+    onFulfilled?: ((page: Page<T>) => R1 | PromiseLike<R1>) | null,
+    onRejected?: ((reason: any) => R2 | PromiseLike<R2>) | null
+  ): Promise<R1 | R2> {
+    return this.first().then(onFulfilled, onRejected);
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<T> {
+    let page = await this.first();
+    while (true) {
+      for (const item of page.data) {
+        yield item;
+      }
+      if (!page.hasMore || !page.nextCursor) {
+        return;
+      }
+      page = await this.fetchPage(page.nextCursor);
+    }
+  }
+
+  private first(): Promise<Page<T>> {
+    if (!this.firstPage) {
+      this.firstPage = this.fetchPage();
+    }
+    return this.firstPage;
+  }
+}
+
+/**
+ * Build a Page from API data, wiring nextPage() to the same fetcher
+ */
+export function createPage<T>(data: T[], hasMore: boolean, nextCursor: string | undefined, fetchPage: PageFetcher<T>): Page<T> {
+  return {
+    data,
+    hasMore,
+    nextCursor,
+    nextPage: () => {
+      if (!hasMore || !nextCursor) {
+        return Promise.resolve(createPage<T>([], false, undefined, fetchPage));
+      }
+      return fetchPage(nextCursor);
+    }
+  };
+}
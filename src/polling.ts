@@ -0,0 +1,17 @@
+/**
+ * VLOEX Polling - defaults shared by videos.waitForCompletion / videos.waitForAll / jobs.watch
+ */
+
+import { Video } from './types';
+
+export const DEFAULT_POLL_INTERVAL_MS = 2000;
+export const DEFAULT_MAX_POLL_INTERVAL_MS = 10000;
+export const DEFAULT_WAIT_TIMEOUT_MS = 10 * 60 * 1000;
+export const DEFAULT_BATCH_CONCURRENCY = 5;  // Status requests in flight per poll round
+
+// Statuses a job never leaves
+export const TERMINAL_STATUSES: readonly Video['status'][] = ['completed', 'failed', 'canceled'];
+
+export function isTerminal(status: Video['status']): boolean {
+  return TERMINAL_STATUSES.includes(status);
+}
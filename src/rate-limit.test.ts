@@ -0,0 +1,113 @@
+import { parseRateLimit, RateLimiter } from './rate-limit';
+
+describe('parseRateLimit', () => {
+  const headers = (values: Record<string, string>) => (name: string) => values[name];
+
+  it('reads X-RateLimit-* headers with reset in seconds or as a timestamp', () => {
+    const now = Date.now();
+
+    const relative = parseRateLimit(headers({ 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '12', 'x-ratelimit-reset': '30' }))!;
+    expect(relative).toEqual(expect.objectContaining({ limit: 60, remaining: 12 }));
+    expect(relative.resetAt!.getTime()).toBeGreaterThanOrEqual(now + 30000);
+
+    const epoch = Math.floor(now / 1000) + 30;
+    expect(parseRateLimit(headers({ 'x-ratelimit-reset': String(epoch) }))!.resetAt).toEqual(new Date(epoch * 1000));
+  });
+
+  it('reads the structured RateLimit header and Retry-After on 429', () => {
+    expect(parseRateLimit(headers({ ratelimit: 'limit=100, remaining=50, reset=30' })))
+      .toEqual(expect.objectContaining({ limit: 100, remaining: 50 }));
+    expect(parseRateLimit(headers({ 'retry-after': '2' }), 429)).toEqual(expect.objectContaining({ retryAfterMs: 2000 }));
+    expect(parseRateLimit(headers({ 'retry-after': '2' }), 200)).toBeUndefined();
+  });
+});
+
+describe('RateLimiter', () => {
+  let order: string[];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    order = [];
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Acquire a turn, note it, and release right away
+  function run(limiter: RateLimiter, name: string, signal?: AbortSignal): Promise<void> {
+    return limiter.acquire(signal).then(() => {
+      order.push(name);
+      limiter.release();
+    });
+  }
+
+  it('sends one request at a time until the first response, then in arrival order', async () => {
+    const limiter = new RateLimiter();
+    const first = limiter.acquire().then(() => order.push('first'));
+    const rest = ['a', 'b', 'c'].map(name => run(limiter, name));
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(order).toEqual(['first']);
+
+    limiter.update({ limit: 10, remaining: 9, observedAt: new Date() }, 200);
+    limiter.release();
+    await Promise.all([first, ...rest]);
+    expect(order).toEqual(['first', 'a', 'b', 'c']);
+  });
+
+  it('paces requestsPerSecond with a token bucket', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 2 });
+    ['a', 'b', 'c', 'd'].forEach(name => run(limiter, name));
+    limiter.update(undefined, 200);
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(order).toEqual(['a', 'b']);
+    await jest.advanceTimersByTimeAsync(499);
+    expect(order).toEqual(['a', 'b']);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(order).toEqual(['a', 'b', 'c']);
+    await jest.advanceTimersByTimeAsync(500);
+    expect(order).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('holds the queue until the window resets once the budget is spent', async () => {
+    const limiter = new RateLimiter();
+    limiter.update({ limit: 60, remaining: 0, resetAt: new Date(Date.now() + 1000), observedAt: new Date() }, 200);
+    ['a', 'b'].forEach(name => run(limiter, name));
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(order).toEqual([]);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(order).toEqual(['a', 'b']);
+  });
+
+  it('holds the queue for Retry-After after a 429', async () => {
+    const limiter = new RateLimiter();
+    limiter.update({ retryAfterMs: 2000, resetAt: new Date(Date.now() + 2000), observedAt: new Date() }, 429);
+    run(limiter, 'a');
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(order).toEqual([]);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(order).toEqual(['a']);
+  });
+
+  it('rejects an aborted request without stalling the ones behind it', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 1 });
+    limiter.update(undefined, 200);
+    const controller = new AbortController();
+
+    const a = run(limiter, 'a');
+    const b = run(limiter, 'b', controller.signal);
+    const c = run(limiter, 'c');
+    const rejected = expect(b).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }));
+
+    await jest.advanceTimersByTimeAsync(0);
+    controller.abort();
+    await rejected;
+    await jest.advanceTimersByTimeAsync(1000);
+    await Promise.all([a, c]);
+    expect(order).toEqual(['a', 'c']);
+  });
+});
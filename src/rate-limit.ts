@@ -0,0 +1,211 @@
+/**
+ * VLOEX Rate Limits - header parsing and the client-side request queue
+ *
+ * Every API response updates `vloex.rateLimit`. With `rateLimitQueue` enabled,
+ * requests from all resources of one client wait in a FIFO queue whenever the
+ * server's remaining budget (minus requests in flight) is used up, until the
+ * window resets. Until the first response arrives, one request is sent at a
+ * time. `requestsPerSecond` adds local token-bucket pacing on top.
+ *
+ * Usage:
+ *   const vloex = new Vloex({ rateLimitQueue: { requestsPerSecond: 5 } });
+ *   await Promise.all(scripts.map(script => vloex.videos.create({ script })));
+ *   console.log(vloex.rateLimit);  // { limit: 60, remaining: 12, resetAt: Date, ... }
+ */
+
+import { RateLimitInfo, RateLimitQueueOptions } from './types';
+import { parseRetryAfter, sleep, abortError } from './retry';
+
+// Reset values above this are Unix timestamps rather than seconds from now
+const EPOCH_SECONDS_THRESHOLD = 1e9;
+
+type HeaderGetter = (name: string) => string | null | undefined;
+
+/**
+ * Read X-RateLimit-*, IETF RateLimit-* / RateLimit and Retry-After headers
+ * @returns Snapshot, or undefined when the response carries no rate-limit headers
+ */
+export function parseRateLimit(get: HeaderGetter, status?: number): RateLimitInfo | undefined {
+  const structured = parseStructured(get('ratelimit'));
+  const limit = toNumber(get('x-ratelimit-limit') ?? get('ratelimit-limit')) ?? structured.limit;
+  const remaining = toNumber(get('x-ratelimit-remaining') ?? get('ratelimit-remaining')) ?? structured.remaining;
+  const reset = toNumber(get('x-ratelimit-reset') ?? get('ratelimit-reset')) ?? structured.reset;
+  const retryAfterMs = status === 429 || status === 503 ? parseRetryAfter(get('retry-after')) : undefined;
+
+  if (limit === undefined && remaining === undefined && reset === undefined && retryAfterMs === undefined) {
+    return undefined;
+  }
+
+  const now = Date.now();
+  const info: RateLimitInfo = { limit, remaining, observedAt: new Date(now) };
+  if (reset !== undefined) {
+    info.resetAt = new Date(reset > EPOCH_SECONDS_THRESHOLD ? reset * 1000 : now + reset * 1000);
+  } else if (retryAfterMs !== undefined) {
+    info.resetAt = new Date(now + retryAfterMs);
+  }
+  if (retryAfterMs !== undefined) {
+    info.retryAfterMs = retryAfterMs;
+  }
+  return info;
+}
+
+/**
+ * FIFO queue in front of every request of one client
+ */
+export class RateLimiter {
+  private options: RateLimitQueueOptions;
+  private snapshot?: RateLimitInfo;
+  private limit?: number;      // Last known window size, kept after the snapshot expires
+  private responded = false;   // A response arrived, so rate-limit headers (or their absence) are known
+  private inFlight = 0;
+  private waiters: (() => void)[] = [];
+  private blockedUntil = 0;
+  private tokens: number;
+  private refilledAt = Date.now();
+  private tail: Promise<void> = Promise.resolve();
+
+  constructor(options: RateLimitQueueOptions = {}) {
+    this.options = options;
+    this.tokens = this.burst;
+  }
+
+  /**
+   * Wait for this request's turn. Pair every resolved acquire() with release().
+   */
+  acquire(signal?: AbortSignal): Promise<void> {
+    const turn = this.tail.then(() => this.waitForBudget(signal));
+    this.tail = turn.catch(() => undefined);
+    return turn;
+  }
+
+  release(): void {
+    this.inFlight = Math.max(0, this.inFlight - 1);
+    this.wake();
+  }
+
+  /**
+   * Record the server's view after a response; 429s hold the whole queue
+   */
+  update(info: RateLimitInfo | undefined, status: number): void {
+    this.responded = true;
+    if (info) {
+      this.snapshot = info;
+      this.limit = info.limit ?? this.limit;
+    }
+    if (status === 429) {
+      const resetAt = info?.resetAt?.getTime() ?? 0;
+      this.blockedUntil = Math.max(this.blockedUntil, resetAt);
+    }
+    this.wake();
+  }
+
+  private get burst(): number {
+    return this.options.burst ?? Math.max(1, this.options.requestsPerSecond ?? 1);
+  }
+
+  private async waitForBudget(signal?: AbortSignal): Promise<void> {
+    while (true) {
+      const delay = this.delayMs();
+      if (delay > 0) {
+        await sleep(delay, signal);
+      } else if (!this.hasCapacity()) {
+        await this.nextRelease(signal);
+      } else {
+        break;
+      }
+    }
+
+    if (this.options.requestsPerSecond) {
+      this.tokens -= 1;
+    }
+    this.inFlight++;
+  }
+
+  /**
+   * Room for one more request in flight, judged by what the server last reported
+   */
+  private hasCapacity(): boolean {
+    const minRemaining = this.options.minRemaining ?? 0;
+    if (this.inFlight === 0) {
+      return true;
+    }
+    if (!this.responded) {
+      return false;
+    }
+    if (this.snapshot?.remaining !== undefined) {
+      return this.snapshot.remaining - this.inFlight > minRemaining;
+    }
+    // A fresh window: the whole limit is available
+    return this.limit === undefined || this.inFlight < this.limit - minRemaining;
+  }
+
+  private nextRelease(signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(abortError());
+      }
+      const onAbort = () => reject(abortError());
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      });
+    });
+  }
+
+  private wake(): void {
+    this.waiters.splice(0).forEach(waiter => waiter());
+  }
+
+  private delayMs(): number {
+    const now = Date.now();
+    let delay = this.blockedUntil - now;
+
+    // Server budget: remaining requests this window, minus ours still in flight
+    const snapshot = this.snapshot;
+    if (snapshot && snapshot.remaining !== undefined && snapshot.resetAt) {
+      const resetIn = snapshot.resetAt.getTime() - now;
+      if (resetIn > 0 && snapshot.remaining - this.inFlight <= (this.options.minRemaining ?? 0)) {
+        delay = Math.max(delay, resetIn);
+      } else if (resetIn <= 0) {
+        // The window has reset; the next response brings fresh numbers
+        this.snapshot = undefined;
+      }
+    }
+
+    // Local pacing: refill requestsPerSecond tokens per second, up to burst
+    const rate = this.options.requestsPerSecond;
+    if (rate) {
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.refilledAt) / 1000) * rate);
+      this.refilledAt = now;
+      if (this.tokens < 1) {
+        delay = Math.max(delay, ((1 - this.tokens) / rate) * 1000);
+      }
+    }
+
+    return delay;
+  }
+}
+
+/**
+ * RateLimit: limit=100, remaining=50, reset=30 (IETF draft structured header)
+ */
+function parseStructured(header: string | null | undefined): { limit?: number; remaining?: number; reset?: number } {
+  const out: Record<string, number> = {};
+  for (const part of (header || '').split(/[,;]/)) {
+    const [key, value] = part.split('=').map(item => item.trim().toLowerCase());
+    if (['limit', 'remaining', 'reset'].includes(key)) {
+      out[key] = Number(value);
+    }
+  }
+  return { limit: out.limit, remaining: out.remaining, reset: out.reset };
+}
+
+function toNumber(value: string | null | undefined): number | undefined {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  // Some servers list several policies: "60, 60;w=60"
+  const number = parseFloat(value);
+  return isNaN(number) ? undefined : number;
+}
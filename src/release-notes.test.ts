@@ -0,0 +1,115 @@
+import { cleanText, fromReleaseNotes, parseReleaseNotes } from './release-notes';
+
+describe('cleanText', () => {
+  it('removes "by @user" credits, not just the handle', () => {
+    expect(cleanText('New dashboard view by @bob')).toBe('New dashboard view');
+    expect(cleanText('Faster exports by @jane-doe in https://github.com/acme/app/pull/12')).toBe('Faster exports');
+  });
+
+  it('removes other @mentions', () => {
+    expect(cleanText('Thanks @alice for the report')).toBe('Thanks for the report');
+  });
+
+  it('keeps link text and drops URLs', () => {
+    expect(cleanText('See [the docs](https://acme.dev/docs) or https://acme.dev')).toBe('See the docs or');
+  });
+
+  it('strips Markdown emphasis, code spans and HTML', () => {
+    expect(cleanText('**Dark mode** for the `settings` page<br>')).toBe('Dark mode for the settings page');
+    expect(cleanText('_Faster_ exports, __now__ cached')).toBe('Faster exports, now cached');
+  });
+
+  it('keeps underscores inside identifiers', () => {
+    expect(cleanText('Rename user_id to account_id in `export_csv_rows`')).toBe('Rename user_id to account_id in export_csv_rows');
+  });
+
+  it('drops PR numbers and commit hashes', () => {
+    expect(cleanText('Fix login redirect (#123)')).toBe('Fix login redirect');
+    expect(cleanText('Fix login redirect (abc1234, #45)')).toBe('Fix login redirect');
+    expect(cleanText('Closes #99 for good')).toBe('Closes for good');
+  });
+});
+
+describe('parseReleaseNotes', () => {
+  it('categorizes Conventional Commits and leaves out chores', () => {
+    const { highlights } = parseReleaseNotes([
+      '- feat: add dark mode',
+      '- fix(api): handle empty responses',
+      '- feat!: drop Node 12',
+      '- chore: bump deps',
+      '- docs: fix typo'
+    ].join('\n'));
+
+    expect(highlights.map(item => item.category)).toEqual(['breaking', 'feature', 'fix']);
+    expect(highlights.map(item => item.text)).toEqual(['Drop Node 12', 'Add dark mode', 'Handle empty responses']);
+  });
+
+  it('reads the newest released section of a Keep a Changelog file', () => {
+    const changelog = [
+      '# Changelog',
+      '## [Unreleased]',
+      '### Added',
+      '- Not shipped yet',
+      '## [2.0.0] - 2025-01-10',
+      '### Added',
+      '- Dark mode',
+      '### Fixed',
+      '- Login redirect',
+      '## [1.0.0] - 2024-06-01',
+      '### Added',
+      '- First release'
+    ].join('\n');
+
+    expect(parseReleaseNotes(changelog)).toEqual({
+      version: '2.0.0',
+      highlights: [
+        { category: 'feature', text: 'Dark mode' },
+        { category: 'fix', text: 'Login redirect' }
+      ]
+    });
+    expect(parseReleaseNotes(changelog, 'v1.0.0').highlights).toEqual([{ category: 'feature', text: 'First release' }]);
+  });
+});
+
+describe('fromReleaseNotes', () => {
+  const notes = [
+    '## What\'s Changed',
+    '- feat: new dashboard view by @bob in https://github.com/acme/app/pull/7',
+    '- fix: crash on empty search (#8)',
+    '- chore: update CI'
+  ].join('\n');
+
+  it('builds intro, lead-in, one scene per highlight and outro', () => {
+    const script = fromReleaseNotes(notes, { product: 'Acme', version: 'v2.0.0' });
+
+    expect(script.scenes.map(scene => scene.text)).toEqual([
+      'Acme v2.0.0 is now available.',
+      'Here are the highlights.',
+      'New dashboard view.',
+      'Fixed: Crash on empty search.',
+      'See the full release notes for details.'
+    ]);
+    expect(script.scenes[0].caption).toBe('Acme v2.0.0');
+    expect(script.scenes[2].caption).toBe('New dashboard view');
+  });
+
+  it('honors maxItems and tone', () => {
+    const script = fromReleaseNotes(notes, { product: 'Acme', maxItems: 1, tone: 'excited' });
+
+    expect(script.toString()).toBe([
+      'Big news! Acme is here!',
+      "Here's what you're going to love.",
+      'New dashboard view.',
+      'Update now and try it out!'
+    ].join('\n\n'));
+  });
+
+  it('skips the lead-in when nothing is worth narrating', () => {
+    const script = fromReleaseNotes('- chore: bump deps', { product: 'Acme' });
+
+    expect(script.scenes.map(scene => scene.text)).toEqual([
+      'Acme is now available.',
+      'See the full release notes for details.'
+    ]);
+  });
+});
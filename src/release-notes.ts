@@ -0,0 +1,239 @@
+/**
+ * VLOEX Release Notes - turn a changelog into a speakable Script
+ *
+ * Understands Markdown headings and lists (-, *, +, 1.), Conventional Commits
+ * (feat:, fix(scope):, feat!:) and Keep a Changelog (## [1.2.0] / ### Added).
+ * Runs entirely offline.
+ *
+ * Usage:
+ *   const script = vloex.scripts.fromReleaseNotes(release.body, { product: 'Acme', version: 'v2.0.0' });
+ *   await vloex.videos.create({ script });
+ */
+
+import { ReleaseNotesOptions, ReleaseHighlight, ReleaseCategory } from './types';
+import { Script } from './script';
+
+const DEFAULT_MAX_ITEMS = 5;
+
+// Most important first; categories not listed here are left out of the video
+const CATEGORY_ORDER: ReleaseCategory[] = ['breaking', 'feature', 'improvement', 'security', 'fix', 'removal'];
+
+// Section headings (Keep a Changelog, GitHub generated notes, common variants)
+const HEADING_CATEGORIES: [RegExp, ReleaseCategory | null][] = [
+  [/breaking/i, 'breaking'],
+  [/^(added|features?|new|what'?s new|highlights?)\b/i, 'feature'],
+  [/^(changed|improvements?|enhancements?|performance|perf)\b/i, 'improvement'],
+  [/^security\b/i, 'security'],
+  [/^(fixed|fix(es)?|bug ?fix(es)?|bugs)\b/i, 'fix'],
+  [/^(removed|deprecated)\b/i, 'removal'],
+  [/^(docs|documentation|chores?|internal|dependencies|deps|ci|build|tests?|refactor(ing)?|maintenance|other)\b/i, null]
+];
+
+// Conventional Commit types
+const COMMIT_CATEGORIES: Record<string, ReleaseCategory | null> = {
+  feat: 'feature',
+  feature: 'feature',
+  fix: 'fix',
+  perf: 'improvement',
+  security: 'security',
+  revert: null,
+  docs: null,
+  chore: null,
+  ci: null,
+  build: null,
+  test: null,
+  tests: null,
+  style: null,
+  refactor: null
+};
+
+const CONVENTIONAL_COMMIT = /^(\w+)(\([^)]*\))?(!)?:\s*(.+)$/;
+const KEEP_A_CHANGELOG_VERSION = /^\[?v?(\d+\.\d+[^\]\s]*|unreleased)\]?/i;
+
+const INTROS = {
+  professional: (name: string) => `${name} is now available.`,
+  casual: (name: string) => `Hey everyone! ${name} is out.`,
+  excited: (name: string) => `Big news! ${name} is here!`
+};
+
+const LEAD_INS = {
+  professional: 'Here are the highlights.',
+  casual: "Here's what's new.",
+  excited: "Here's what you're going to love."
+};
+
+const OUTROS = {
+  professional: 'See the full release notes for details.',
+  casual: 'Check out the full release notes and give it a try!',
+  excited: 'Update now and try it out!'
+};
+
+const CATEGORY_PREFIX: Record<ReleaseCategory, string> = {
+  breaking: 'Heads up: ',
+  feature: '',
+  improvement: '',
+  security: 'Security: ',
+  fix: 'Fixed: ',
+  removal: 'Removed: '
+};
+
+/**
+ * Build a narrated Script from release notes
+ * @param markdown - Release notes / changelog Markdown
+ * @param options - product, version, maxItems, tone
+ * @returns Script with an intro, one scene per highlight and an outro
+ */
+export function fromReleaseNotes(markdown: string, options: ReleaseNotesOptions = {}): Script {
+  const tone = options.tone || 'professional';
+  const { highlights, version } = parseReleaseNotes(markdown, options.version);
+  const selected = highlights.slice(0, options.maxItems ?? DEFAULT_MAX_ITEMS);
+
+  const displayVersion = options.version || version;
+  const name = [options.product, displayVersion].filter(Boolean).join(' ') || 'A new release';
+
+  const script = new Script().scene(INTROS[tone](name), { caption: name });
+
+  if (selected.length > 0) {
+    script.scene(LEAD_INS[tone]);
+    selected.forEach(item => {
+      script.scene(toSentence(CATEGORY_PREFIX[item.category] + item.text), { caption: item.text });
+    });
+  }
+
+  return script.scene(OUTROS[tone]);
+}
+
+/**
+ * Extract speakable highlights, most important first
+ * @param markdown - Release notes / changelog Markdown
+ * @param version - For Keep a Changelog files, the version section to read (default: newest)
+ */
+export function parseReleaseNotes(markdown: string, version?: string): { highlights: ReleaseHighlight[]; version?: string } {
+  const lines = stripCodeBlocks(markdown).split(/\r?\n/);
+  const highlights: ReleaseHighlight[] = [];
+
+  let category: ReleaseCategory | null | undefined;  // undefined: no heading seen yet
+  let foundVersion: string | undefined;
+  let inVersion = true;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const heading = /^(#{1,6})\s+(.+)$/.exec(line);
+
+    if (heading) {
+      const title = cleanText(heading[2]);
+      const versionMatch = KEEP_A_CHANGELOG_VERSION.exec(title);
+
+      // Keep a Changelog: one "## [x.y.z]" section per release - read only the requested one
+      if (versionMatch && heading[1].length <= 2) {
+        const sectionVersion = versionMatch[1];
+        const isUnreleased = sectionVersion.toLowerCase() === 'unreleased';
+        const wanted = version
+          ? normalizeVersion(sectionVersion) === normalizeVersion(version)
+          : !isUnreleased && !foundVersion;
+
+        inVersion = wanted;
+        if (wanted) {
+          foundVersion = sectionVersion;
+        }
+        category = undefined;
+        continue;
+      }
+
+      category = headingCategory(title);
+      continue;
+    }
+
+    if (!inVersion) {
+      continue;
+    }
+
+    const item = /^(?:[-*+]|\d+[.)])\s+(.+)$/.exec(line);
+    if (!item) {
+      continue;
+    }
+
+    const parsed = parseItem(item[1], category);
+    if (parsed) {
+      highlights.push(parsed);
+    }
+  }
+
+  // Stable sort keeps the original order within each category
+  highlights.sort((a, b) => CATEGORY_ORDER.indexOf(a.category) - CATEGORY_ORDER.indexOf(b.category));
+
+  return { highlights, version: foundVersion };
+}
+
+function parseItem(raw: string, sectionCategory: ReleaseCategory | null | undefined): ReleaseHighlight | undefined {
+  let text = cleanText(raw);
+  let category = sectionCategory;
+
+  const commit = CONVENTIONAL_COMMIT.exec(text);
+  if (commit && commit[1].toLowerCase() in COMMIT_CATEGORIES) {
+    text = commit[4];
+    category = commit[3] ? 'breaking' : COMMIT_CATEGORIES[commit[1].toLowerCase()];
+  } else if (/^breaking( change)?s?:/i.test(text)) {
+    text = text.replace(/^breaking( change)?s?:\s*/i, '');
+    category = 'breaking';
+  }
+
+  // Outside any recognized section, list items count as features
+  if (category === undefined) {
+    category = 'feature';
+  }
+  if (category === null || !text) {
+    return undefined;
+  }
+
+  return { category, text: capitalize(text) };
+}
+
+function headingCategory(title: string): ReleaseCategory | null | undefined {
+  // Drop leading emoji and punctuation: "🚀 Features", "### 🐛 Bug Fixes"
+  const clean = title.replace(/^[^A-Za-z]+/, '');
+  for (const [pattern, category] of HEADING_CATEGORIES) {
+    if (pattern.test(clean)) {
+      return category;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Remove Markdown and GitHub noise that reads badly aloud
+ */
+export function cleanText(text: string): string {
+  return text
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')                         // images
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')                      // [text](url) → text
+    .replace(/\s+by @[\w-]+ in https?:\/\/\S+/g, '')              // GitHub generated "by @user in <url>"
+    .replace(/\s+by\s+@[\w-]+/g, '')                              // "by @user" credits
+    .replace(/https?:\/\/\S+/g, '')                               // bare URLs
+    .replace(/<[^>]+>/g, '')                                      // HTML tags
+    .replace(/`([^`]*)`/g, '$1')                                  // inline code
+    .replace(/(\*\*|\*|~~)(.+?)\1/g, '$2')                        // bold, italic, strikethrough
+    .replace(/(^|\W)(__?)(\S(?:.*?\S)?)\2(?=\W|$)/g, '$1$3')      // _italic_, __bold__ - not snake_case
+    .replace(/\s*\((?:#\d+|[0-9a-f]{7,40})(?:,\s*(?:#\d+|[0-9a-f]{7,40}))*\)/gi, '')  // (#123), (abc1234)
+    .replace(/(^|\s)#\d+\b/g, '$1')                               // #123
+    .replace(/(^|\s)@[\w-]+/g, '$1')                              // @mentions
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+    .replace(/[\s,;:-]+$/, '');
+}
+
+function stripCodeBlocks(markdown: string): string {
+  return markdown.replace(/```[\s\S]*?```/g, '').replace(/~~~[\s\S]*?~~~/g, '');
+}
+
+function normalizeVersion(version: string): string {
+  return version.replace(/^v/i, '').toLowerCase();
+}
+
+function capitalize(text: string): string {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function toSentence(text: string): string {
+  return /[.!?]$/.test(text) ? text : `${text}.`;
+}
@@ -0,0 +1,141 @@
+import { computeRetryDelay, isRetryableError, isRetryableStatus, parseRetryAfter } from './retry';
+import { createMockVloex } from './testing';
+import { InvalidRequestError, RetryInfo } from './types';
+
+describe('computeRetryDelay', () => {
+  it('doubles the base delay per attempt up to the cap', () => {
+    const options = { retryDelayMs: 100, maxRetryDelayMs: 500, jitter: false };
+
+    expect([1, 2, 3, 4, 5].map(attempt => computeRetryDelay(attempt, options))).toEqual([100, 200, 400, 500, 500]);
+  });
+
+  it('defaults to 500ms doubling up to 8s', () => {
+    expect([1, 2, 5, 6].map(attempt => computeRetryDelay(attempt, { jitter: false }))).toEqual([500, 1000, 8000, 8000]);
+  });
+
+  it('takes up to half off with jitter', () => {
+    for (let i = 0; i < 50; i++) {
+      const delay = computeRetryDelay(2, { retryDelayMs: 100 });
+      expect(delay).toBeGreaterThan(100);
+      expect(delay).toBeLessThanOrEqual(200);
+    }
+  });
+
+  it('uses Retry-After unless it is over a minute', () => {
+    expect(computeRetryDelay(1, { jitter: false }, 3000)).toBe(3000);
+    expect(computeRetryDelay(1, { jitter: false }, 0)).toBe(0);
+    expect(computeRetryDelay(1, { jitter: false }, 120000)).toBe(500);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads delta-seconds and HTTP dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter('0.5')).toBe(500);
+
+    const ms = parseRetryAfter(new Date(Date.now() + 10000).toUTCString())!;
+    expect(ms).toBeGreaterThan(8000);
+    expect(ms).toBeLessThanOrEqual(10000);
+    expect(parseRetryAfter(new Date(Date.now() - 10000).toUTCString())).toBe(0);
+  });
+
+  it('ignores missing and unreadable values', () => {
+    expect(parseRetryAfter(undefined)).toBeUndefined();
+    expect(parseRetryAfter(null)).toBeUndefined();
+    expect(parseRetryAfter('soon')).toBeUndefined();
+  });
+});
+
+describe('isRetryableStatus / isRetryableError', () => {
+  it('retries timeouts, conflicts, rate limits and server errors only', () => {
+    expect([408, 409, 429, 500, 502, 503, 504].every(isRetryableStatus)).toBe(true);
+    expect([200, 400, 401, 402, 404, 422, 501].some(isRetryableStatus)).toBe(false);
+  });
+
+  it('retries socket failures but not aborts', () => {
+    expect(isRetryableError({ type: 'system', code: 'ECONNRESET' })).toBe(true);
+    expect(isRetryableError({ type: 'request-timeout' })).toBe(true);
+    expect(isRetryableError({ code: 'EAI_AGAIN' })).toBe(true);
+    expect(isRetryableError({ name: 'AbortError', type: 'aborted' })).toBe(false);
+    expect(isRetryableError(new Error('boom'))).toBe(false);
+    expect(isRetryableError(undefined)).toBe(false);
+  });
+});
+
+describe('request retries', () => {
+  async function setup() {
+    const retries: RetryInfo[] = [];
+    const mock = await createMockVloex({
+      client: { maxRetries: 2, retryDelayMs: 1, jitter: false, onRetry: info => { retries.push(info); } }
+    });
+    return { ...mock, retries };
+  }
+
+  it('retries a create on 503 with the same Idempotency-Key', async () => {
+    const { vloex, server, retries } = await setup();
+    try {
+      server.injectError({ method: 'POST', path: '/v1/generate', status: 503, times: 2 });
+
+      const video = await vloex.videos.create({ script: 'Hi' });
+      expect(video.status).toBe('queued');
+
+      const keys = server.requests.filter(request => request.path === '/v1/generate').map(request => request.headers['idempotency-key']);
+      expect(keys).toHaveLength(3);
+      expect(new Set(keys).size).toBe(1);
+      expect(retries.map(info => [info.attempt, info.status, info.delayMs, info.idempotencyKey]))
+        .toEqual([[1, 503, 1, keys[0]], [2, 503, 2, keys[0]]]);
+      expect(server.jobs.size).toBe(1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('waits as long as Retry-After says', async () => {
+    const { vloex, server, retries } = await setup();
+    try {
+      server.injectError({ method: 'GET', path: '/v1/jobs', status: 429, headers: { 'retry-after': '0' } });
+
+      await vloex.videos.list();
+      expect(retries).toEqual([expect.objectContaining({ attempt: 1, status: 429, delayMs: 0 })]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('retries a dropped connection on a GET', async () => {
+    const { vloex, server, retries } = await setup();
+    try {
+      server.injectError({ method: 'GET', path: '/v1/jobs', network: true });
+
+      await vloex.videos.list();
+      expect(retries).toEqual([expect.objectContaining({ attempt: 1, error: expect.any(Error) })]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('does not retry client errors', async () => {
+    const { vloex, server, retries } = await setup();
+    try {
+      server.injectError({ method: 'POST', path: '/v1/generate', status: 400, body: { detail: 'Bad script' } });
+
+      await expect(vloex.videos.create({ script: 'Hi' })).rejects.toThrow(InvalidRequestError);
+      expect(retries).toEqual([]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('gives up after maxRetries with the last error', async () => {
+    const { vloex, server, retries } = await setup();
+    try {
+      server.injectError({ method: 'POST', path: '/v1/generate', status: 502, times: 3 });
+
+      await expect(vloex.videos.create({ script: 'Hi' })).rejects.toThrow(expect.objectContaining({ statusCode: 502 }));
+      expect(retries).toHaveLength(2);
+      expect(server.jobs.size).toBe(0);
+    } finally {
+      await server.close();
+    }
+  });
+});
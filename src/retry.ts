@@ -0,0 +1,110 @@
+/**
+ * VLOEX Retry - backoff helpers used by Vloex.request
+ */
+
+import { RetryOptions } from './types';
+
+export const DEFAULT_MAX_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY_MS = 500;
+export const DEFAULT_MAX_RETRY_DELAY_MS = 8000;
+
+// Longer Retry-After values fall back to normal backoff instead of stalling the caller
+const MAX_RETRY_AFTER_MS = 60000;
+
+// 408 timeout, 409 lock conflict, 429 rate limit, 5xx server/proxy errors
+const RETRYABLE_STATUS_CODES = [408, 409, 429, 500, 502, 503, 504];
+
+// Transient socket-level failures reported by node-fetch as FetchError.code
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'UND_ERR_SOCKET'
+];
+
+export function isRetryableStatus(status: number): boolean {
+  return RETRYABLE_STATUS_CODES.includes(status);
+}
+
+export function isRetryableError(error: any): boolean {
+  if (!error) {
+    return false;
+  }
+  if (error.name === 'AbortError') {
+    return false;
+  }
+  // node-fetch FetchError: 'system' wraps socket errors, 'request-timeout' its `timeout` option
+  return error.type === 'system' || error.type === 'request-timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(header: string | null | undefined): number | undefined {
+  if (!header) {
+    return undefined;
+  }
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return undefined;
+}
+
+/**
+ * Exponential backoff: retryDelayMs * 2^(attempt - 1), capped at maxRetryDelayMs,
+ * with up to 50% random jitter. Retry-After from the server wins when present.
+ */
+export function computeRetryDelay(attempt: number, options: RetryOptions, retryAfterMs?: number): number {
+  if (retryAfterMs !== undefined && retryAfterMs <= MAX_RETRY_AFTER_MS) {
+    return retryAfterMs;
+  }
+
+  const maxDelay = options.maxRetryDelayMs ?? DEFAULT_MAX_RETRY_DELAY_MS;
+  const base = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+  const delay = Math.min(base * Math.pow(2, attempt - 1), maxDelay);
+
+  if (options.jitter === false) {
+    return delay;
+  }
+
+  return delay * (1 - Math.random() * 0.5);
+}
+
+/**
+ * Wait for `ms`, rejecting early with an AbortError if `signal` fires
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(abortError());
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export function abortError(): Error {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
@@ -0,0 +1,228 @@
+/**
+ * VLOEX Screenshots - normalize journey screenshot inputs before upload
+ *
+ * Accepts file paths, base64 strings, Buffers, readable streams and
+ * { data, mimeType, description } objects; detects the image type from
+ * magic bytes and validates format and size client-side.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import {
+  ScreenshotInput,
+  ScreenshotObject,
+  ScreenshotSource,
+  ImageMimeType,
+  InvalidRequestError,
+  VloexError
+} from './types';
+
+export const DEFAULT_MAX_SCREENSHOT_BYTES = 10 * 1024 * 1024;
+
+// Longest string treated as a possible file path rather than base64 data
+const MAX_PATH_LENGTH = 4096;
+
+export interface ResolvedScreenshot {
+  data: Buffer;
+  mimeType: ImageMimeType;
+  description?: string;
+}
+
+export interface ResolveOptions {
+  maxScreenshotBytes?: number;
+  maxImageDimension?: number;
+}
+
+/**
+ * Load, identify and validate every screenshot
+ * @throws InvalidRequestError for unreadable, unsupported or oversized images
+ */
+export async function resolveScreenshots(
+  inputs: ScreenshotInput[],
+  options: ResolveOptions = {}
+): Promise<ResolvedScreenshot[]> {
+  const maxBytes = options.maxScreenshotBytes ?? DEFAULT_MAX_SCREENSHOT_BYTES;
+  const resolved: ResolvedScreenshot[] = [];
+
+  for (let i = 0; i < inputs.length; i++) {
+    const input = inputs[i];
+    const isObject = isScreenshotObject(input);
+    const source = isObject ? input.data : input;
+
+    let data = await readSource(source, i);
+    let mimeType = detectMimeType(data);
+
+    if (!mimeType) {
+      throw new InvalidRequestError(`screenshots[${i}] is not a PNG, JPEG or WebP image`);
+    }
+    if (isObject && input.mimeType && input.mimeType !== mimeType) {
+      throw new InvalidRequestError(`screenshots[${i}] is ${mimeType}, not ${input.mimeType}`);
+    }
+
+    if (options.maxImageDimension) {
+      const size = imageSize(data, mimeType);
+      if (!size || Math.max(size.width, size.height) > options.maxImageDimension) {
+        data = await downscale(data, options.maxImageDimension);
+        mimeType = detectMimeType(data) || mimeType;
+      }
+    }
+
+    if (data.length > maxBytes) {
+      throw new InvalidRequestError(
+        `screenshots[${i}] is ${data.length} bytes; the limit is ${maxBytes} bytes`
+      );
+    }
+
+    resolved.push({ data, mimeType, description: isObject ? input.description : undefined });
+  }
+
+  return resolved;
+}
+
+function isScreenshotObject(input: ScreenshotInput): input is ScreenshotObject {
+  return typeof input === 'object' && !Buffer.isBuffer(input) && 'data' in input && !isStream(input);
+}
+
+function isStream(value: any): value is NodeJS.ReadableStream {
+  return value && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
+async function readSource(source: ScreenshotSource, index: number): Promise<Buffer> {
+  if (Buffer.isBuffer(source)) {
+    return source;
+  }
+
+  if (isStream(source)) {
+    const chunks: Buffer[] = [];
+    for await (const chunk of source as AsyncIterable<Buffer | string>) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  if (typeof source === 'string') {
+    if (source.length <= MAX_PATH_LENGTH && fs.existsSync(source)) {
+      return fs.promises.readFile(source);
+    }
+
+    // data:image/png;base64,... or bare base64
+    const base64 = source.replace(/^data:[^;,]+;base64,/, '');
+    if (/^[A-Za-z0-9+/=\s]+$/.test(base64)) {
+      return Buffer.from(base64, 'base64');
+    }
+
+    throw new InvalidRequestError(`screenshots[${index}] is neither an existing file nor base64 data`);
+  }
+
+  throw new InvalidRequestError(`screenshots[${index}] has an unsupported type`);
+}
+
+/**
+ * Identify PNG, JPEG and WebP from their magic bytes
+ */
+export function detectMimeType(data: Buffer): ImageMimeType | undefined {
+  if (data.length >= 8 && data.readUInt32BE(0) === 0x89504e47 && data.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return undefined;
+}
+
+/**
+ * Read width/height from the image header without decoding it
+ */
+export function imageSize(data: Buffer, mimeType: ImageMimeType): { width: number; height: number } | undefined {
+  try {
+    if (mimeType === 'image/png') {
+      // IHDR chunk always comes first
+      return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+
+    if (mimeType === 'image/jpeg') {
+      // Walk segments until a start-of-frame marker (SOF0-SOF15, except DHT/JPG/DAC)
+      let offset = 2;
+      while (offset + 9 < data.length) {
+        if (data[offset] !== 0xff) {
+          return undefined;
+        }
+        const marker = data[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+          return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + data.readUInt16BE(offset + 2);
+      }
+      return undefined;
+    }
+
+    const chunk = data.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+  } catch (e) {
+    // Truncated header - treat as unknown size
+  }
+  return undefined;
+}
+
+/**
+ * Downscale with the optional `sharp` package, keeping the aspect ratio
+ */
+async function downscale(data: Buffer, maxDimension: number): Promise<Buffer> {
+  let sharp: any;
+  try {
+    sharp = require('sharp');
+  } catch (e) {
+    throw new VloexError('maxImageDimension requires the optional `sharp` package: npm install sharp');
+  }
+
+  return sharp(data)
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+    .toBuffer();
+}
+
+/**
+ * multipart/form-data request body for journey uploads
+ */
+export class MultipartBody {
+  readonly boundary = `----vloex${crypto.randomBytes(12).toString('hex')}`;
+  private parts: Buffer[] = [];
+
+  get contentType(): string {
+    return `multipart/form-data; boundary=${this.boundary}`;
+  }
+
+  field(name: string, value: string): this {
+    this.parts.push(Buffer.from(
+      `--${this.boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+    ));
+    return this;
+  }
+
+  file(name: string, filename: string, mimeType: string, data: Buffer): this {
+    this.parts.push(
+      Buffer.from(
+        `--${this.boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\n` +
+        `Content-Type: ${mimeType}\r\n\r\n`
+      ),
+      data,
+      Buffer.from('\r\n')
+    );
+    return this;
+  }
+
+  toBuffer(): Buffer {
+    return Buffer.concat([...this.parts, Buffer.from(`--${this.boundary}--\r\n`)]);
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * VLOEX Script - structured scripts with scenes, pauses and per-scene settings
+ *
+ * Usage:
+ *   const script = new Script()
+ *     .scene('Version 2.0 is here!', { caption: 'v2.0', lowerThird: { title: 'Acme', subtitle: 'Release 2.0' } })
+ *     .pause(1)
+ *     .scene('We rewrote the SQL engine.', { emphasis: ['rewrote'], pronunciations: { SQL: 'sequel' } });
+ *
+ *   await vloex.videos.create({ script });
+ */
+
+import { Scene, ScriptEstimate, ScriptInput, InvalidRequestError } from './types';
+
+// Typical narration speed used for duration estimates
+const WORDS_PER_MINUTE = 150;
+
+export const SCRIPT_LIMITS = {
+  maxScenes: 50,
+  maxCharacters: 5000,
+  maxDurationSeconds: 600,
+  maxPauseSeconds: 10
+};
+
+export class Script {
+  readonly scenes: Scene[] = [];
+
+  constructor(scenes: Scene[] = []) {
+    scenes.forEach(scene => this.add(scene));
+  }
+
+  /**
+   * Add a scene
+   * @param text - What the avatar says
+   * @param settings - pauseAfter, emphasis, pronunciations, caption, lowerThird, avatar, voice, background
+   */
+  scene(text: string, settings: Omit<Scene, 'text'> = {}): this {
+    return this.add({ ...settings, text });
+  }
+
+  /**
+   * Add silence after the last scene
+   * @param seconds - Pause length
+   */
+  pause(seconds: number): this {
+    const last = this.scenes[this.scenes.length - 1];
+    if (!last) {
+      throw new InvalidRequestError('pause() must follow a scene');
+    }
+    last.pauseAfter = (last.pauseAfter || 0) + seconds;
+    return this;
+  }
+
+  /**
+   * Speakable text of every scene, separated by blank lines
+   */
+  toString(): string {
+    return this.scenes.map(scene => scene.text.trim()).join('\n\n');
+  }
+
+  /**
+   * Rough length and duration, for checking limits before submitting
+   */
+  estimate(): ScriptEstimate {
+    const text = this.toString();
+    const words = text.split(/\s+/).filter(Boolean).length;
+    const pauses = this.scenes.reduce((total, scene) => total + (scene.pauseAfter || 0), 0);
+
+    return {
+      scenes: this.scenes.length,
+      characters: text.length,
+      words,
+      durationSeconds: Math.round((words / WORDS_PER_MINUTE) * 60 + pauses)
+    };
+  }
+
+  /**
+   * @throws InvalidRequestError if the script is empty or over the limits
+   */
+  validate(): this {
+    const estimate = this.estimate();
+    const errors: string[] = [];
+
+    if (estimate.scenes === 0) {
+      errors.push('script has no scenes');
+    }
+    if (estimate.scenes > SCRIPT_LIMITS.maxScenes) {
+      errors.push(`script has ${estimate.scenes} scenes; the limit is ${SCRIPT_LIMITS.maxScenes}`);
+    }
+    if (estimate.characters > SCRIPT_LIMITS.maxCharacters) {
+      errors.push(`script is ${estimate.characters} characters; the limit is ${SCRIPT_LIMITS.maxCharacters}`);
+    }
+    if (estimate.durationSeconds > SCRIPT_LIMITS.maxDurationSeconds) {
+      errors.push(`script runs about ${estimate.durationSeconds}s; the limit is ${SCRIPT_LIMITS.maxDurationSeconds}s`);
+    }
+    this.scenes.forEach((scene, i) => {
+      if (!scene.text || !scene.text.trim()) {
+        errors.push(`scenes[${i}] has no text`);
+      }
+      if (scene.pauseAfter !== undefined && (scene.pauseAfter < 0 || scene.pauseAfter > SCRIPT_LIMITS.maxPauseSeconds)) {
+        errors.push(`scenes[${i}].pauseAfter must be between 0 and ${SCRIPT_LIMITS.maxPauseSeconds} seconds`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new InvalidRequestError(errors.join('; '));
+    }
+    return this;
+  }
+
+  /**
+   * Transform to API format. Keys are always emitted in the same order,
+   * so the same script serializes to the same JSON (stable idempotency).
+   */
+  toJSON(): any[] {
+    return this.scenes.map(scene => {
+      const out: any = {
+        text: scene.text.trim(),
+        ssml: toSSML(scene)
+      };
+      if (scene.pauseAfter) {
+        out.pause_after_ms = Math.round(scene.pauseAfter * 1000);
+      }
+      if (scene.caption) {
+        out.caption = scene.caption;
+      }
+      if (scene.lowerThird) {
+        out.lower_third = { title: scene.lowerThird.title, subtitle: scene.lowerThird.subtitle };
+      }
+      for (const field of ['avatar', 'voice', 'background'] as const) {
+        if (scene[field]) {
+          out[field] = scene[field];
+        }
+      }
+      return out;
+    });
+  }
+
+  private add(scene: Scene): this {
+    if (typeof scene.text !== 'string') {
+      throw new InvalidRequestError('Scene text must be a string');
+    }
+    this.scenes.push({ ...scene });
+    return this;
+  }
+}
+
+/**
+ * Normalize GenerateParams.script to the API's `input` text plus optional `scenes`
+ */
+export function serializeScript(script: ScriptInput): { input: string; scenes?: any[] } {
+  if (typeof script === 'string') {
+    return { input: script };
+  }
+
+  const built = script instanceof Script ? script : new Script(script);
+  built.validate();
+  return { input: built.toString(), scenes: built.toJSON() };
+}
+
+/**
+ * SSML for one scene: emphasis, pronunciation substitutions and the trailing pause
+ */
+function toSSML(scene: Scene): string {
+  // Longest phrases first so "dark mode" wins over "dark"
+  const marks: { phrase: string; open: string; close: string }[] = [
+    ...Object.keys(scene.pronunciations || {}).sort().map(phrase => ({
+      phrase,
+      open: `<sub alias="${escapeXml(scene.pronunciations![phrase])}">`,
+      close: '</sub>'
+    })),
+    ...(scene.emphasis || []).slice().sort().map(phrase => ({ phrase, open: '<emphasis>', close: '</emphasis>' }))
+  ].sort((a, b) => b.phrase.length - a.phrase.length);
+
+  let ssml = '';
+  const text = scene.text.trim();
+  let i = 0;
+  while (i < text.length) {
+    const mark = marks.find(m => m.phrase && text.startsWith(m.phrase, i) && isWordBoundary(text, i, i + m.phrase.length));
+    if (mark) {
+      ssml += `${mark.open}${escapeXml(mark.phrase)}${mark.close}`;
+      i += mark.phrase.length;
+    } else {
+      ssml += escapeXml(text[i]);
+      i++;
+    }
+  }
+
+  if (scene.pauseAfter) {
+    ssml += `<break time="${Math.round(scene.pauseAfter * 1000)}ms"/>`;
+  }
+  return `<speak>${ssml}</speak>`;
+}
+
+// Phrases only match whole words: "dark" must not mark up "darkness"
+function isWordBoundary(text: string, start: number, end: number): boolean {
+  const word = /[A-Za-z0-9_]/;
+  return !(start > 0 && word.test(text[start - 1])) && !(end < text.length && word.test(text[end]));
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
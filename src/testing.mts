@@ -0,0 +1,8 @@
+/**
+ * VLOEX Testing - ES module entry
+ *
+ * Usage:
+ *   import { createMockVloex } from '@vloex/sdk/testing';
+ */
+
+export * from './testing.js';
@@ -0,0 +1,96 @@
+import http from 'http';
+import { getEventListeners } from 'events';
+import { AddressInfo } from 'net';
+import { createMockVloex, FakeVloexServer } from './testing';
+import { Vloex } from './index';
+import { VideoFailedError, WebhookEvent } from './types';
+
+describe('createMockVloex', () => {
+  let vloex: Vloex;
+  let server: FakeVloexServer;
+
+  beforeEach(async () => {
+    ({ vloex, server } = await createMockVloex());
+  });
+
+  afterEach(() => server.close());
+
+  it('creates a job and waits for it to complete', async () => {
+    const job = await vloex.videos.create({ script: 'Hello!' });
+    expect(job.status).toBe('queued');
+    expect(server.jobs.get(job.id)!.input).toBe('Hello!');
+
+    const video = await vloex.videos.waitForCompletion(job.id, { intervalMs: 1 });
+    expect(video.status).toBe('completed');
+    expect(video.url).toContain(`/videos/${job.id}.mp4`);
+  });
+
+  it('fails the wait when a queued job fails', async () => {
+    server.queueJob({ statuses: ['queued', 'processing', 'failed'], error: 'Render failed' });
+
+    const wait = vloex.videos.createAndWait({ script: 'Hi' }, { intervalMs: 1 });
+    await expect(wait).rejects.toThrow(VideoFailedError);
+    await expect(wait).rejects.toThrow('Render failed');
+  });
+
+  it('passes the signal and request options to the create request', async () => {
+    const wait = vloex.videos.createAndWait({ script: 'Hi' }, { signal: AbortSignal.abort() });
+    await expect(wait).rejects.toThrow(expect.objectContaining({ name: 'AbortError' }));
+    expect(server.jobs.size).toBe(0);
+
+    await vloex.videos.createAndWait({ script: 'Hi' }, { intervalMs: 1, requestOptions: { headers: { 'X-Trace': 'abc' } } });
+    expect(server.requests.find(request => request.path === '/v1/generate')!.headers['x-trace']).toBe('abc');
+  });
+
+  it('reports a job that cannot be retrieved without failing the others', async () => {
+    const [ok, gone] = await Promise.all([vloex.videos.create({ script: 'One' }), vloex.videos.create({ script: 'Two' })]);
+    server.injectError({ method: 'GET', path: `/v1/jobs/${gone.id}/status`, status: 404, body: { detail: 'Job not found' } });
+
+    const videos = await vloex.videos.waitForAll([ok, gone], { intervalMs: 1 });
+    expect(videos[0]).toEqual(expect.objectContaining({ id: ok.id, status: 'completed' }));
+    expect(videos[0].pollError).toBeUndefined();
+    expect(videos[1]).toEqual(expect.objectContaining({ id: gone.id, status: 'queued' }));
+    expect(videos[1].pollError?.message).toBe('Job not found');
+  });
+
+  it('stops listening to the abort signal once a watch finishes', async () => {
+    const controller = new AbortController();
+    const job = await vloex.videos.create({ script: 'Hi' });
+
+    const videos = await vloex.jobs.watch([job.id], { intervalMs: 1, signal: controller.signal }).done;
+    expect(videos[0].status).toBe('completed');
+    expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+  });
+
+  it('delivers a signed webhook once the job finishes', async () => {
+    const events: WebhookEvent[] = [];
+    const receiver = http.createServer((req, res) => {
+      const chunks: Buffer[] = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        events.push(vloex.webhooks.constructEvent(
+          Buffer.concat(chunks),
+          req.headers['x-vloex-signature'],
+          req.headers['x-vloex-timestamp'],
+          'whsec_test'
+        ));
+        res.end();
+      });
+    });
+    await new Promise<void>(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const webhookUrl = `http://127.0.0.1:${(receiver.address() as AddressInfo).port}/webhook`;
+      const job = await vloex.videos.create({ script: 'Hello!', webhookUrl, webhookSecret: 'whsec_test' });
+      server.setStatus(job.id, 'completed');
+
+      const [delivery] = await server.flushWebhooks();
+      expect(delivery.status).toBe(200);
+      expect(events).toEqual([
+        expect.objectContaining({ type: 'video.completed', data: expect.objectContaining({ id: job.id, status: 'completed' }) })
+      ]);
+    } finally {
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+});
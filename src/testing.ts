@@ -0,0 +1,529 @@
+/**
+ * VLOEX Testing - an in-process fake API for testing code that uses the SDK
+ *
+ * Implements /v1/generate, /v1/jobs (list, status, cancel, delete),
+ * /v1/videos/from-journey and the cost estimates with scriptable status
+ * transitions, injectable errors and latency, and signed webhook delivery.
+ * No network access needed.
+ *
+ * Usage:
+ *   const { createMockVloex } = require('@vloex/sdk/testing');
+ *
+ *   const { vloex, server } = await createMockVloex();
+ *   server.queueJob({ statuses: ['queued', 'processing', 'failed'], error: 'Render failed' });
+ *   await expect(vloex.videos.createAndWait({ script: 'Hi' })).rejects.toThrow('Render failed');
+ *   await server.close();
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { AddressInfo } from 'net';
+import fetch from 'node-fetch';
+import { Vloex } from './index';
+import { generateTestHeader } from './webhooks';
+import { isTerminal } from './polling';
+import { ClientOptions, Video } from './types';
+
+type JobStatus = Video['status'];
+
+const DEFAULT_STATUSES: JobStatus[] = ['queued', 'processing', 'completed'];
+
+// Fake pricing: narration at 150 words per minute, 10 seconds per journey step
+const DEFAULT_COST_PER_SECOND = 0.01;
+const JOURNEY_STEP_SECONDS = 10;
+
+// Served at /videos/<id>.mp4 for completed jobs, so videos.download() works
+const FAKE_VIDEO = Buffer.from('00000018667479706d703432000000006d703432', 'hex');
+
+export interface FakeServerOptions {
+  apiKey?: string;            // Require this key; by default any Bearer token is accepted
+  statuses?: JobStatus[];     // Default job lifecycle (default: queued → processing → completed)
+  latencyMs?: number;         // Delay before every API response
+  webhookSecret?: string;     // Signs webhooks for jobs created without webhookSecret
+  rateLimit?: { limit: number; windowMs: number };  // Send X-RateLimit-* headers and 429 over the limit
+  costPerSecond?: number;     // Price of estimates and completed jobs (default: 0.01 USD)
+}
+
+// How the next created job behaves (see queueJob)
+export interface FakeJobSpec {
+  statuses?: JobStatus[];  // Status after creation, then one step per status poll
+  error?: string;          // error_message once the job fails
+  videoUrl?: string;       // Override the completed video URL
+}
+
+export interface FakeJob {
+  id: string;
+  status: JobStatus;
+  statuses: JobStatus[];
+  step: number;
+  input?: string;
+  body: any;               // Parsed request body the job was created from
+  error?: string;
+  videoUrl?: string;
+  webhookUrl?: string;
+  webhookSecret?: string;
+  durationSeconds: number;
+  cost: number;            // Reported once the job completes
+  createdAt: string;
+  deleted: boolean;
+}
+
+export interface InjectedError {
+  method?: string;
+  path?: string | RegExp;  // Exact path (without query) or pattern; default: any request
+  status?: number;         // HTTP status to return (default: 500)
+  body?: any;              // JSON body (default: { detail: 'Injected error' })
+  headers?: Record<string, string>;
+  network?: boolean;       // Drop the connection instead of responding
+  times?: number;          // How many matching requests fail (default: 1)
+}
+
+export interface RecordedRequest {
+  method: string;
+  path: string;
+  headers: http.IncomingHttpHeaders;
+  body: any;
+}
+
+export interface WebhookDelivery {
+  url: string;
+  payload: any;
+  headers: Record<string, string>;
+  status?: number;   // Receiver's response status
+  error?: Error;     // Network error reaching the receiver
+}
+
+/**
+ * Fake VLOEX API on a random local port
+ */
+export class FakeVloexServer {
+  readonly jobs = new Map<string, FakeJob>();
+  readonly requests: RecordedRequest[] = [];
+  readonly webhooks: WebhookDelivery[] = [];
+
+  private options: FakeServerOptions;
+  private server?: http.Server;
+  private queued: FakeJobSpec[] = [];
+  private errors: InjectedError[] = [];
+  private latencies: { path?: string | RegExp; ms: number }[] = [];
+  private idempotencyKeys = new Map<string, any>();
+  private pendingWebhooks: Promise<void>[] = [];
+  private nextId = 1;
+  private window = { start: 0, count: 0 };
+
+  constructor(options: FakeServerOptions = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Base URL, e.g. http://127.0.0.1:53124
+   */
+  get url(): string {
+    if (!this.server) {
+      throw new Error('FakeVloexServer is not started - call start() first');
+    }
+    return `http://127.0.0.1:${(this.server.address() as AddressInfo).port}`;
+  }
+
+  async start(): Promise<string> {
+    if (!this.server) {
+      this.server = http.createServer((req, res) => {
+        this.handle(req, res).catch(error => {
+          res.statusCode = 500;
+          res.end(JSON.stringify({ detail: error.message }));
+        });
+      });
+      await new Promise<void>(resolve => this.server!.listen(0, '127.0.0.1', resolve));
+    }
+    return this.url;
+  }
+
+  async close(): Promise<void> {
+    await this.flushWebhooks();
+    const server = this.server;
+    this.server = undefined;
+    if (server) {
+      await new Promise<void>(resolve => server.close(() => resolve()));
+    }
+  }
+
+  /**
+   * A client pointed at this server, with retries disabled unless overridden
+   */
+  client(options: ClientOptions = {}): Vloex {
+    return new Vloex({
+      apiKey: this.options.apiKey || 'vs_test_fake',
+      maxRetries: 0,
+      ...options,
+      baseUrl: this.url
+    });
+  }
+
+  /**
+   * Script the next created job (calls queue up, one per job)
+   */
+  queueJob(spec: FakeJobSpec): this {
+    this.queued.push(spec);
+    return this;
+  }
+
+  /**
+   * Make matching requests fail, e.g. { path: '/v1/generate', status: 429, headers: { 'retry-after': '1' } }
+   */
+  injectError(error: InjectedError): this {
+    this.errors.push({ times: 1, ...error });
+    return this;
+  }
+
+  /**
+   * Delay responses, for all requests or those matching `path`
+   */
+  setLatency(ms: number, path?: string | RegExp): this {
+    this.latencies.unshift({ path, ms });
+    return this;
+  }
+
+  /**
+   * Move a job to a status now, delivering its webhook if the status is terminal
+   */
+  setStatus(id: string, status: JobStatus, details: { error?: string; videoUrl?: string } = {}): FakeJob {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`No fake job ${id}`);
+    }
+    Object.assign(job, details);
+    this.transition(job, status);
+    return job;
+  }
+
+  /**
+   * Wait until every webhook triggered so far has been delivered (or failed)
+   */
+  async flushWebhooks(): Promise<WebhookDelivery[]> {
+    while (this.pendingWebhooks.length > 0) {
+      await Promise.all(this.pendingWebhooks.splice(0));
+    }
+    return this.webhooks;
+  }
+
+  private async handle(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+    const [path, query = ''] = (req.url || '/').split('?');
+    const method = req.method || 'GET';
+    const body = await readBody(req);
+    this.requests.push({ method, path, headers: req.headers, body });
+
+    const latency = this.latencies.find(entry => matches(entry.path, path));
+    const delay = latency ? latency.ms : this.options.latencyMs;
+    if (delay) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    const injected = this.errors.find(error => (!error.method || error.method === method) && matches(error.path, path));
+    if (injected) {
+      injected.times = (injected.times ?? 1) - 1;
+      if (injected.times <= 0) {
+        this.errors.splice(this.errors.indexOf(injected), 1);
+      }
+      if (injected.network) {
+        req.socket.destroy();
+        return;
+      }
+      return send(res, injected.status || 500, injected.body ?? { detail: 'Injected error' }, injected.headers);
+    }
+
+    // Video files are public URLs, like the real CDN
+    const file = /^\/videos\/([^/]+)\.mp4$/.exec(path);
+    if (file && method === 'GET') {
+      const job = this.jobs.get(file[1]);
+      if (!job || job.status !== 'completed') {
+        return send(res, 404, { detail: 'Not found' });
+      }
+      res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': FAKE_VIDEO.length });
+      res.end(FAKE_VIDEO);
+      return;
+    }
+
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer ') || (this.options.apiKey && auth !== `Bearer ${this.options.apiKey}`)) {
+      return send(res, 401, { detail: 'Invalid API key' });
+    }
+
+    const { headers: rateLimitHeaders, limited } = this.countRequest();
+    if (limited) {
+      return send(res, 429, { detail: 'Rate limit exceeded' }, rateLimitHeaders);
+    }
+
+    // Same Idempotency-Key, same response - like the real API
+    const idempotencyKey = req.headers['idempotency-key'] as string | undefined;
+    const cacheKey = idempotencyKey && `${method} ${path} ${idempotencyKey}`;
+    if (cacheKey && this.idempotencyKeys.has(cacheKey)) {
+      return send(res, 200, this.idempotencyKeys.get(cacheKey), rateLimitHeaders);
+    }
+
+    const [status, data] = this.route(method, path, new URLSearchParams(query), body);
+    if (cacheKey && status < 300) {
+      this.idempotencyKeys.set(cacheKey, data);
+    }
+    send(res, status, data, rateLimitHeaders);
+  }
+
+  /**
+   * Fixed-window counter behind options.rateLimit
+   */
+  private countRequest(): { headers?: Record<string, string>; limited: boolean } {
+    const limit = this.options.rateLimit;
+    if (!limit) {
+      return { limited: false };
+    }
+
+    const now = Date.now();
+    if (now - this.window.start >= limit.windowMs) {
+      this.window = { start: now, count: 0 };
+    }
+    this.window.count++;
+
+    const limited = this.window.count > limit.limit;
+    const resetSeconds = String(Math.max(1, Math.ceil((this.window.start + limit.windowMs - now) / 1000)));
+    const headers: Record<string, string> = {
+      'X-RateLimit-Limit': String(limit.limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit.limit - this.window.count)),
+      'X-RateLimit-Reset': resetSeconds
+    };
+    if (limited) {
+      headers['Retry-After'] = resetSeconds;
+    }
+    return { headers, limited };
+  }
+
+  private route(method: string, path: string, query: URLSearchParams, body: any): [number, any] {
+    if (method === 'POST' && (path === '/v1/generate/estimate' || path === '/v1/videos/from-journey/estimate')) {
+      const { durationSeconds, cost } = this.price(body);
+      return [200, { duration_seconds: durationSeconds, cost, currency: 'USD' }];
+    }
+
+    if (method === 'POST' && (path === '/v1/generate' || path === '/v1/videos/from-journey/async')) {
+      if (path === '/v1/generate' && (!body || !body.input)) {
+        return [422, { detail: [{ loc: ['body', 'input'], msg: 'field required', type: 'value_error.missing' }] }];
+      }
+      const job = this.createJob(body);
+      return [200, { job_id: job.id, status: job.status }];
+    }
+
+    // Synchronous journeys render in the request
+    if (method === 'POST' && path === '/v1/videos/from-journey') {
+      const job = this.createJob(body);
+      while (!isTerminal(job.status)) {
+        this.advance(job);
+      }
+      if (job.status !== 'completed') {
+        return [200, { success: false, error_message: job.error }];
+      }
+      return [200, {
+        success: true,
+        video_url: job.videoUrl,
+        duration_seconds: job.durationSeconds,
+        file_size_mb: FAKE_VIDEO.length / (1024 * 1024),
+        cost: job.cost,
+        steps_count: Array.isArray(body?.screenshots) ? body.screenshots.length : 1
+      }];
+    }
+
+    if (method === 'GET' && path === '/v1/jobs') {
+      return [200, this.listJobs(query)];
+    }
+
+    const jobPath = /^\/v1\/jobs\/([^/]+)(\/status|\/cancel)?$/.exec(path);
+    const job = jobPath ? this.jobs.get(jobPath[1]) : undefined;
+    if (jobPath && (!job || job.deleted)) {
+      return [404, { detail: `Job ${jobPath[1]} not found` }];
+    }
+
+    if (job && method === 'GET' && jobPath![2] === '/status') {
+      this.advance(job);
+      return [200, toJob(job)];
+    }
+
+    if (job && method === 'POST' && jobPath![2] === '/cancel') {
+      if (job.status === 'completed' || job.status === 'failed') {
+        return [409, { detail: `Job ${job.id} is already ${job.status}` }];
+      }
+      this.transition(job, 'canceled');
+      return [200, toJob(job)];
+    }
+
+    if (job && method === 'DELETE' && !jobPath![2]) {
+      job.deleted = true;
+      return [200, { id: job.id, deleted: true }];
+    }
+
+    return [404, { detail: `No fake route for ${method} ${path}` }];
+  }
+
+  private createJob(body: any): FakeJob {
+    const spec = this.queued.shift() || {};
+    const statuses = spec.statuses || this.options.statuses || DEFAULT_STATUSES;
+    const id = `job_${this.nextId++}`;
+
+    const job: FakeJob = {
+      id,
+      status: statuses[0],
+      statuses,
+      step: 0,
+      input: body?.input,
+      body,
+      error: spec.error,
+      videoUrl: spec.videoUrl,
+      webhookUrl: body?.webhook_url,
+      webhookSecret: body?.webhook_secret || this.options.webhookSecret,
+      ...this.price(body),
+      createdAt: new Date().toISOString(),
+      deleted: false
+    };
+    this.jobs.set(id, job);
+
+    this.transition(job, job.status);
+    return job;
+  }
+
+  private price(body: any): { durationSeconds: number; cost: number } {
+    let durationSeconds: number;
+    if (body && typeof body.input === 'string') {
+      durationSeconds = Math.max(1, Math.round(body.input.split(/\s+/).filter(Boolean).length / 2.5));
+    } else {
+      const steps = body?.screenshots?.length || body?.screenshot_count || body?.pages?.length || body?.max_steps || 3;
+      durationSeconds = steps * JOURNEY_STEP_SECONDS;
+    }
+    const cost = Math.round(durationSeconds * (this.options.costPerSecond ?? DEFAULT_COST_PER_SECOND) * 100) / 100;
+    return { durationSeconds, cost };
+  }
+
+  private listJobs(query: URLSearchParams): any {
+    const limit = Number(query.get('limit')) || 20;
+    const offset = Number(query.get('cursor')) || 0;
+    const status = query.get('status');
+
+    const jobs = Array.from(this.jobs.values())
+      .filter(job => !job.deleted && (!status || job.status === status))
+      .reverse();
+    const data = jobs.slice(offset, offset + limit);
+    const hasMore = offset + limit < jobs.length;
+
+    return { data: data.map(toJob), has_more: hasMore, next_cursor: hasMore ? String(offset + limit) : null };
+  }
+
+  // One scripted step per status poll
+  private advance(job: FakeJob): void {
+    if (!isTerminal(job.status) && job.step < job.statuses.length - 1) {
+      job.step++;
+      this.transition(job, job.statuses[job.step]);
+    }
+  }
+
+  private transition(job: FakeJob, status: JobStatus): void {
+    job.status = status;
+    if (status === 'completed' && !job.videoUrl) {
+      job.videoUrl = `${this.url}/videos/${job.id}.mp4`;
+    }
+    if (status === 'failed' && !job.error) {
+      job.error = 'Render failed';
+    }
+    if (isTerminal(status) && job.webhookUrl) {
+      this.pendingWebhooks.push(this.deliverWebhook(job));
+    }
+  }
+
+  private async deliverWebhook(job: FakeJob): Promise<void> {
+    const payload = {
+      event: `video.${job.status}`,
+      job_id: job.id,
+      status: job.status,
+      video_url: job.videoUrl,
+      error_message: job.error
+    };
+    const raw = JSON.stringify(payload);
+
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (job.webhookSecret) {
+      const { signature, timestamp } = generateTestHeader({ payload: raw, secret: job.webhookSecret });
+      headers['X-VLOEX-Signature'] = signature;
+      headers['X-VLOEX-Timestamp'] = timestamp;
+    }
+
+    const delivery: WebhookDelivery = { url: job.webhookUrl!, payload, headers };
+    this.webhooks.push(delivery);
+    try {
+      const response = await fetch(job.webhookUrl!, { method: 'POST', headers, body: raw });
+      delivery.status = response.status;
+    } catch (error: any) {
+      delivery.error = error;
+    }
+  }
+}
+
+/**
+ * Start a fake server and return a client connected to it
+ * @param options - Fake server settings, plus ClientOptions for the client
+ *
+ * Example:
+ *   const { vloex, server } = await createMockVloex();
+ *   const video = await vloex.videos.createAndWait({ script: 'Hello!' }, { intervalMs: 1 });
+ *   expect(server.jobs.get(video.id)!.input).toBe('Hello!');
+ *   await server.close();
+ */
+export async function createMockVloex(
+  options: FakeServerOptions & { client?: ClientOptions } = {}
+): Promise<{ vloex: Vloex; server: FakeVloexServer; close: () => Promise<void> }> {
+  const { client, ...serverOptions } = options;
+  const server = new FakeVloexServer(serverOptions);
+  await server.start();
+  return { vloex: server.client(client), server, close: () => server.close() };
+}
+
+function toJob(job: FakeJob): any {
+  return {
+    job_id: job.id,
+    status: job.status,
+    video_url: job.status === 'completed' ? job.videoUrl : undefined,
+    error_message: job.status === 'failed' ? job.error : undefined,
+    cost: job.status === 'completed' ? job.cost : undefined,
+    created_at: job.createdAt
+  };
+}
+
+function matches(pattern: string | RegExp | undefined, path: string): boolean {
+  if (pattern === undefined) {
+    return true;
+  }
+  return typeof pattern === 'string' ? pattern === path : pattern.test(path);
+}
+
+function send(res: http.ServerResponse, status: number, data: any, headers: Record<string, string> = {}): void {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'X-Request-ID': `req_${crypto.randomBytes(6).toString('hex')}`,
+    ...headers
+  });
+  res.end(body);
+}
+
+async function readBody(req: http.IncomingMessage): Promise<any> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) {
+    chunks.push(chunk as Buffer);
+  }
+  const raw = Buffer.concat(chunks);
+  if (raw.length === 0) {
+    return undefined;
+  }
+
+  // Multipart journeys: keep the raw bytes
+  if (!String(req.headers['content-type'] || '').includes('application/json')) {
+    return raw;
+  }
+  try {
+    return JSON.parse(raw.toString('utf8'));
+  } catch (e) {
+    return raw.toString('utf8');
+  }
+}
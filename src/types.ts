@@ -3,42 +3,249 @@
  * Minimal, Stripe-style API surface
  */
 
+import type { Script } from './script';
+
 // Core: script → video
 export interface GenerateParams {
-  script: string;
+  script: ScriptInput;     // Plain text, a Script builder, or an array of scenes
   webhookUrl?: string;     // Optional webhook for completion notification
   webhookSecret?: string;  // Optional secret for webhook HMAC signature
   idempotencyKey?: string; // Optional UUID to prevent duplicate charges on retry
-  options?: {
-    avatar?: string;      // Coming soon
-    voice?: string;       // Coming soon
-    background?: string;  // Coming soon
-  };
+  options?: VideoOptions;
 }
 
-// Journey: screenshots/URL → video
-export interface JourneyParams {
-  // Mode 1: Provide screenshots (with optional descriptions)
-  screenshots?: string[];  // base64-encoded images
-  descriptions?: string[];  // Optional - if provided, uses these instead of Vision AI
+// Script: one scene of a structured script
+export interface Scene {
+  text: string;                            // What the avatar says
+  pauseAfter?: number;                     // Seconds of silence after the scene
+  emphasis?: string[];                     // Phrases to stress
+  pronunciations?: Record<string, string>; // Phrase → how to say it, e.g. { SQL: 'sequel' }
+  caption?: string;                        // On-screen text
+  lowerThird?: { title: string; subtitle?: string };
+  avatar?: AvatarId;                       // Per-scene overrides of options
+  voice?: VoiceId;
+  background?: BackgroundId;
+}
+
+export type ScriptInput = string | Script | Scene[];
+
+export interface ScriptEstimate {
+  scenes: number;
+  characters: number;
+  words: number;
+  durationSeconds: number;  // Narration at ~150 words/minute plus pauses
+}
+
+// Known IDs get autocomplete; any other string is accepted for newly added ones.
+// Discover the full catalog with vloex.avatars/voices/backgrounds.list().
+export type KnownAvatar = 'lily';
+export type KnownVoice = 'enthusiastic';
+export type KnownBackground = 'modern_office';
+
+export type AvatarId = KnownAvatar | (string & {});
+export type VoiceId = KnownVoice | (string & {});
+export type BackgroundId = KnownBackground | (string & {});
+
+export type Resolution = '720p' | '1080p' | '4k';
+export type AspectRatio = '16:9' | '9:16' | '1:1' | '4:5';
+
+// Rendering options for videos.create(), validated before the request is sent
+export interface VideoOptions {
+  avatar?: AvatarId;
+  voice?: VoiceId;
+  background?: BackgroundId;
+  resolution?: Resolution;    // Default: '1080p'
+  aspectRatio?: AspectRatio;  // Default: '16:9'
+  language?: string;          // BCP 47 tag, e.g. 'en-US', 'de'
+  captions?: boolean;         // Burn in subtitles
+}
+
+// Catalog: vloex.avatars.list()
+export interface Avatar {
+  id: string;
+  name: string;
+  previewUrl?: string;
+}
+
+// Catalog: vloex.voices.list()
+export interface Voice {
+  id: string;
+  name: string;
+  language?: string;  // BCP 47 tag
+  gender?: string;
+  previewUrl?: string;
+}
+
+// Catalog: vloex.backgrounds.list()
+export interface Background {
+  id: string;
+  name: string;
+  previewUrl?: string;
+}
+
+// Release notes: vloex.scripts.fromReleaseNotes()
+export type ReleaseTone = 'professional' | 'casual' | 'excited';
 
-  // Mode 2: URL-based (public pages only)
-  productUrl?: string;
-  pages?: string[];  // Just paths like ["/", "/features", "/pricing"]
+export interface ReleaseNotesOptions {
+  product?: string;   // Spoken name, e.g. 'Acme'
+  version?: string;   // e.g. 'v2.0.0'; also selects the section of a Keep a Changelog file
+  maxItems?: number;  // Highlights to narrate (default: 5)
+  tone?: ReleaseTone; // Default: 'professional'
+}
+
+export type ReleaseCategory = 'breaking' | 'feature' | 'improvement' | 'security' | 'fix' | 'removal';
 
-  // Common settings
+export interface ReleaseHighlight {
+  category: ReleaseCategory;
+  text: string;  // Cleaned for speech: no links, code spans, PR numbers or mentions
+}
+
+// Journey screenshot: file path, base64 string (or data: URL), Buffer, readable stream,
+// or an object carrying its own MIME type and description
+export type ScreenshotSource = string | Buffer | NodeJS.ReadableStream;
+
+export interface ScreenshotObject {
+  data: ScreenshotSource;
+  mimeType?: ImageMimeType;  // Detected from magic bytes when omitted
+  description?: string;      // Overrides descriptions[i]
+}
+
+export type ScreenshotInput = ScreenshotSource | ScreenshotObject;
+
+export type ImageMimeType = 'image/png' | 'image/jpeg' | 'image/webp';
+
+// Journey page with an optional narration hint
+export interface JourneyPage {
+  path: string;          // e.g. "/dashboard"
+  description?: string;  // e.g. "Main Dashboard"
+}
+
+// Journey auth: log in through a form (default)
+export interface FormLoginAuth {
+  type?: 'form';
+  loginUrl: string;
+  credentials: Record<string, string>;  // e.g. { email, password }
+  selectors?: Record<string, string>;   // CSS selector per credential field, plus `submit`
+}
+
+// Journey auth: reuse an existing session cookie
+export interface CookieAuth {
+  type: 'cookies';
+  cookies: { name: string; value: string; domain?: string; path?: string }[];
+}
+
+// Journey auth: extra headers on every page request
+export interface HeaderAuth {
+  type: 'headers';
+  headers: Record<string, string>;
+}
+
+// Journey auth: Authorization: Bearer <token>
+export interface BearerAuth {
+  type: 'bearer';
+  token: string;
+}
+
+export type JourneyAuth = FormLoginAuth | CookieAuth | HeaderAuth | BearerAuth;
+
+// Journey: settings shared by every mode
+interface JourneyBaseParams {
   productContext: string;
+  webhookUrl?: string;      // Optional webhook for completion notification
+  webhookSecret?: string;   // Optional secret for webhook HMAC signature
+  idempotencyKey?: string;  // Optional UUID to prevent duplicate charges on retry
   stepDuration?: number;
   avatarPosition?: 'bottom-right' | 'bottom-left' | 'top-right' | 'top-left';
   tone?: 'professional' | 'casual' | 'excited';
 }
 
+// Mode 1: Provide screenshots (with optional descriptions)
+export interface ScreenshotJourneyParams extends JourneyBaseParams {
+  mode?: 'screenshots';
+  screenshots: ScreenshotInput[];
+  descriptions?: string[];  // Optional - if provided, uses these instead of Vision AI
+  maxScreenshotBytes?: number;   // Reject larger images (default: 10 MB)
+  maxImageDimension?: number;    // Downscale wider/taller images (requires the optional `sharp` package)
+  upload?: 'json' | 'multipart'; // multipart avoids base64 overhead (default: 'json')
+  productUrl?: never;
+  pages?: never;
+  auth?: never;
+  goal?: never;
+  maxSteps?: never;
+  allowUrlPatterns?: never;
+  denyUrlPatterns?: never;
+}
+
+// Mode 2: URL with guided navigation (public pages, or authenticated with `auth`)
+export interface GuidedJourneyParams extends JourneyBaseParams {
+  mode?: 'guided';
+  productUrl: string;
+  pages?: (string | JourneyPage)[];  // Paths like ["/", "/features"] or { path, description }
+  auth?: JourneyAuth;               // Requires an https:// productUrl
+  screenshots?: never;
+  descriptions?: never;
+  maxScreenshotBytes?: never;
+  maxImageDimension?: never;
+  upload?: never;
+  goal?: never;
+  maxSteps?: never;
+  allowUrlPatterns?: never;
+  denyUrlPatterns?: never;
+}
+
+// Mode 3: Autonomous exploration - AI decides where to navigate
+export interface AutonomousJourneyParams extends JourneyBaseParams {
+  mode: 'autonomous';
+  productUrl: string;
+  goal: string;                  // e.g. "Show main features and key workflows"
+  maxSteps?: number;             // Upper bound on pages visited
+  allowUrlPatterns?: string[];   // Only visit URLs matching these globs, e.g. "/app/*"
+  denyUrlPatterns?: string[];    // Never visit these, e.g. "/logout", "/billing/*"
+  auth?: JourneyAuth;
+  screenshots?: never;
+  descriptions?: never;
+  maxScreenshotBytes?: never;
+  maxImageDimension?: never;
+  upload?: never;
+  pages?: never;
+}
+
+// Journey: screenshots/URL → video. `mode` defaults to 'screenshots' or 'guided'.
+export type JourneyParams = ScreenshotJourneyParams | GuidedJourneyParams | AutonomousJourneyParams;
+
+export type JourneyMode = 'screenshots' | 'guided' | 'autonomous';
+
 // What you get back from /v1/generate
 export interface Video {
   id: string;
-  status: 'queued' | 'processing' | 'completed' | 'failed';
+  status: 'queued' | 'processing' | 'completed' | 'failed' | 'canceled';
   url?: string;
   error?: string;
+  createdAt?: string;  // ISO 8601, when the API reports it
+  cost?: number;       // Actual cost in USD, when the API reports it
+}
+
+// What you get back from videos.del()
+export interface DeletedVideo {
+  id: string;
+  deleted: boolean;
+}
+
+// List: videos.list()
+export interface ListVideosParams {
+  status?: Video['status'];
+  createdAfter?: Date | string;   // Date or ISO 8601 string
+  createdBefore?: Date | string;
+  limit?: number;                 // Page size (default set by the API)
+  cursor?: string;                // Start after this cursor (from page.nextCursor)
+}
+
+// One page of a cursor-paginated list
+export interface Page<T> {
+  data: T[];
+  hasMore: boolean;
+  nextCursor?: string;
+  nextPage: () => Promise<Page<T>>;
 }
 
 // What you get back from /v1/videos/from-journey
@@ -53,12 +260,459 @@ export interface JourneyVideo {
   error?: string;
 }
 
+// Any fetch-compatible function (node-fetch, undici, global fetch, a test mock)
+export type FetchFunction = (url: string, init?: any) => Promise<any>;
+
+// new Vloex({ ... }) - every field is optional
+export interface ClientOptions extends RetryOptions {
+  apiKey?: string;                          // Default: process.env.VLOEX_API_KEY
+  baseUrl?: string;                         // Default: process.env.VLOEX_BASE_URL or https://api.vloex.com
+  timeoutMs?: number;                       // Per-attempt request timeout (default: 60000)
+  fetch?: FetchFunction;                    // Default: node-fetch
+  defaultHeaders?: Record<string, string>;  // Sent with every request
+  httpAgent?: any;                          // e.g. a proxy agent (passed as fetch `agent`)
+  userAgentSuffix?: string;                 // Appended to the User-Agent header
+  hooks?: RequestHooks[];                   // Observe or modify every API call
+  debug?: boolean | DebugLogger;            // Log API calls with secrets redacted (default: VLOEX_DEBUG env)
+  rateLimitQueue?: boolean | RateLimitQueueOptions;  // Delay requests before the server would answer 429
+  jobStore?: JobStore;                      // Record created jobs so re-runs reuse them (see jobs.resume())
+  budget?: BudgetOptions;                   // Refuse to submit jobs over a cost limit
+}
+
+// Cost: videos.estimate() / videos.fromJourney.estimate()
+export interface CostEstimate {
+  durationSeconds: number;  // Expected video length
+  cost: number;             // Expected cost in USD
+  currency: string;         // 'USD' unless the API says otherwise
+}
+
+// Budget: ClientOptions.budget. Every billable call is estimated first and refused
+// with BudgetExceededError when it would go over a limit.
+export interface BudgetOptions {
+  perCall?: number;  // Max estimated cost of one job, in USD
+  total?: number;    // Max spend of this client: actual costs where reported, estimates otherwise
+}
+
+// vloex.budget
+export interface BudgetStatus {
+  perCall?: number;
+  total?: number;
+  spent: number;       // Actual or estimated cost of every job this client submitted
+  reserved: number;    // Estimates of submissions still in flight
+  remaining?: number;  // total - spent - reserved
+  jobs: number;        // Jobs counted in spent
+}
+
+// Rate limits: vloex.rateLimit, updated from every API response's headers
+export interface RateLimitInfo {
+  limit?: number;         // Requests allowed per window
+  remaining?: number;     // Requests left in the current window
+  resetAt?: Date;         // When the window resets
+  retryAfterMs?: number;  // Retry-After of a 429/503 response
+  observedAt: Date;       // When the response arrived
+}
+
+export interface RateLimitQueueOptions {
+  minRemaining?: number;       // Hold requests when the remaining budget drops to this (default: 0)
+  requestsPerSecond?: number;  // Also pace requests locally with a token bucket
+  burst?: number;              // Token bucket size (default: requestsPerSecond)
+}
+
+// Observability: ClientOptions.hooks. Per call, onRequest runs before every attempt,
+// then exactly one of onResponse (success) or onError (final failure).
+export interface RequestHooks {
+  onRequest?: (context: RequestContext) => void | Promise<void>;
+  onResponse?: (context: ResponseContext) => void | Promise<void>;
+  onError?: (context: ErrorContext) => void | Promise<void>;
+  onRetry?: (info: RetryInfo, context: RequestContext) => void;
+}
+
+export interface RequestContext {
+  method: string;
+  path: string;
+  url: string;
+  headers: Record<string, string>;  // Mutable in onRequest, e.g. to add a traceparent header
+  body?: any;                       // Request body before encoding
+  attempt: number;                  // 0 for the first attempt
+  idempotencyKey?: string;
+  startTime: number;                // Date.now() when the call started
+  state: Record<string, any>;       // Shared by all hooks of one call, e.g. to hold a span
+  attributes: SpanAttributes;       // Updated as the call progresses
+}
+
+export interface ResponseContext extends RequestContext {
+  status: number;
+  responseHeaders: Record<string, string>;
+  requestId?: string;
+  data: any;                        // Parsed response body, before SDK transforms
+  durationMs: number;               // Since startTime, including retries
+  rateLimit?: RateLimitInfo;
+}
+
+export interface ErrorContext extends RequestContext {
+  error: Error;
+  status?: number;
+  requestId?: string;
+  durationMs: number;
+}
+
+// OpenTelemetry semantic-convention attributes, plus vloex.* for API specifics
+export interface SpanAttributes {
+  'http.request.method': string;
+  'url.full': string;
+  'url.path': string;
+  'server.address': string;
+  'http.request.resend_count'?: number;
+  'http.response.status_code'?: number;
+  'error.type'?: string;
+  'vloex.request_id'?: string;
+  'vloex.job_id'?: string;
+  'vloex.idempotency_key'?: string;
+  'vloex.duration_ms'?: number;
+}
+
+export type DebugLogger = (message: string) => void;
+
+// Per-call overrides of the client defaults
+export interface RequestOptions {
+  timeoutMs?: number;
+  maxRetries?: number;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+  idempotencyKey?: string;
+}
+
+// Polling: videos.waitForCompletion() / videos.createAndWait()
+export interface WaitOptions {
+  intervalMs?: number;     // First poll delay, grows 1.5x per poll (default: 2000)
+  maxIntervalMs?: number;  // Poll delay cap (default: 10000)
+  timeoutMs?: number;      // Give up after this long (default: 600000 = 10 min)
+  signal?: AbortSignal;    // Abort waiting (the job keeps running server-side)
+  onProgress?: (video: Video) => void;  // Called after every poll
+}
+
+// videos.createAndWait(): polling options, plus options for the create request.
+// `signal` also aborts the create request unless requestOptions sets its own.
+export interface CreateAndWaitOptions extends WaitOptions {
+  requestOptions?: RequestOptions;
+}
+
+// Download: videos.download()
+export interface DownloadProgress {
+  bytes: number;   // Bytes in the destination so far
+  total?: number;  // Full size, when the server reports it
+}
+
+export interface DownloadOptions {
+  to: string | NodeJS.WritableStream;  // File path or writable stream
+  signal?: AbortSignal;
+  onProgress?: (progress: DownloadProgress) => void;
+  resume?: boolean;  // Continue an existing partial file at `to` (default: false - it is overwritten)
+  end?: boolean;     // End a writable `to` when done (default: true)
+}
+
+export interface DownloadResult {
+  video: Video;
+  bytes: number;
+  path?: string;   // Set when `to` is a file path
+}
+
+// Batch: videos.createBatch()
+export interface BatchOptions {
+  concurrency?: number;           // Max requests in flight (default: 5)
+  stopOnError?: boolean;          // Don't start remaining items after a failure (default: false)
+  idempotencyKeyPrefix?: string;  // Keys become `${prefix}-${index}`, stable across re-runs
+  requestOptions?: RequestOptions;
+}
+
+export type BatchItemResult =
+  | { status: 'created'; index: number; idempotencyKey: string; video: Video }
+  | { status: 'failed'; index: number; idempotencyKey: string; error: Error }
+  | { status: 'skipped'; index: number; idempotencyKey: string };  // Not sent (stopOnError)
+
+// Batch: videos.waitForAll()
+export interface WaitForAllOptions extends Omit<WaitOptions, 'onProgress'> {
+  concurrency?: number;  // Max status requests in flight per poll round (default: 5)
+  onProgress?: (videos: PolledVideo[]) => void;  // Called after every poll round
+}
+
+// A waitForAll() result: the latest known state, plus the error of its last status request if that failed.
+// 4xx errors (e.g. 404 for a deleted job) stop polling the job; others are retried next round.
+export interface PolledVideo extends Video {
+  pollError?: Error;
+}
+
+// Watching: vloex.jobs.watch()
+export interface WatchOptions extends Omit<WaitForAllOptions, 'onProgress'> {
+  // Poll a job once it hasn't reported by webhook for this long
+  // (default: 120000 when a webhook receiver is attached to the client, otherwise 0)
+  fallbackAfterMs?: number;
+}
+
+export type JobWatchEventType = 'status' | 'completed' | 'failed' | 'canceled';
+
+export interface JobWatchEvent {
+  type: JobWatchEventType;        // 'status' for non-terminal changes
+  video: Video;
+  source: 'webhook' | 'poll';
+}
+
+// Job store: ClientOptions.jobStore. Created jobs are recorded by idempotency key;
+// creating again with a recorded key returns the stored job without calling the API.
+export interface StoredJob {
+  id: string;
+  idempotencyKey: string;
+  kind: 'video' | 'journey';     // videos.create() or videos.fromJourneyAsync()
+  status: Video['status'];       // Last status the client saw
+  url?: string;
+  error?: string;
+  createdAt: string;             // ISO 8601, when the client created the job
+  updatedAt: string;
+}
+
+// Back it with a file, Redis or a database to survive process restarts
+export interface JobStore {
+  get(id: string): StoredJob | undefined | Promise<StoredJob | undefined>;
+  findByIdempotencyKey(key: string): StoredJob | undefined | Promise<StoredJob | undefined>;
+  set(job: StoredJob): void | Promise<void>;  // Insert or replace by job ID
+  delete(id: string): void | Promise<void>;
+  list(): StoredJob[] | Promise<StoredJob[]>;
+}
+
+// Webhook events: POSTed to webhookUrl when a job finishes
+export type WebhookEventType = 'video.completed' | 'video.failed' | 'video.canceled';
+
+export interface VideoCompletedEvent {
+  type: 'video.completed';
+  data: Video & { status: 'completed'; url: string };
+  timestamp: number;  // Unix seconds, from X-VLOEX-Timestamp
+}
+
+export interface VideoFailedEvent {
+  type: 'video.failed';
+  data: Video & { status: 'failed' };
+  timestamp: number;
+}
+
+export interface VideoCanceledEvent {
+  type: 'video.canceled';
+  data: Video & { status: 'canceled' };
+  timestamp: number;
+}
+
+export type WebhookEvent = VideoCompletedEvent | VideoFailedEvent | VideoCanceledEvent;
+
+export interface ConstructEventOptions {
+  toleranceSeconds?: number;  // Max age of the timestamp header (default: 300, 0 disables)
+}
+
+// Webhook receiver: vloex.webhooks.middleware()
+export interface WebhookMiddlewareOptions extends ConstructEventOptions {
+  secret?: string;                  // Default: process.env.VLOEX_WEBHOOK_SECRET
+  onEvent?: (event: WebhookEvent) => void | Promise<void>;  // Every verified, non-duplicate event
+  store?: DedupeStore;              // Default: in-memory, 24 hours
+}
+
+// Remembers processed deliveries so redeliveries are acknowledged but not handled twice.
+// Back it with Redis or a database when running more than one process.
+export interface DedupeStore {
+  claim(key: string): boolean | Promise<boolean>;  // true the first time a key is seen
+  release(key: string): void | Promise<void>;      // Handler failed: let the redelivery through
+}
+
+export type WebhookHandler<T extends WebhookEventType = WebhookEventType> =
+  (event: Extract<WebhookEvent, { type: T }>) => void | Promise<void>;
+
+export interface WebhookResult {
+  status: number;  // HTTP status to respond with
+  body: { received: boolean; duplicate?: boolean; error?: string };
+  event?: WebhookEvent;
+}
+
+export interface TestHeaderParams {
+  payload: string | object;
+  secret: string;
+  timestamp?: number;  // Unix seconds (default: now)
+}
+
+export interface TestHeader {
+  signature: string;  // Value for X-VLOEX-Signature
+  timestamp: string;  // Value for X-VLOEX-Timestamp
+}
+
+// Retries: network errors and 408/409/429/5xx responses are retried with backoff
+export interface RetryInfo {
+  attempt: number;      // 1 for the first retry
+  delayMs: number;      // Wait before this retry
+  method: string;
+  path: string;
+  status?: number;      // HTTP status that triggered the retry
+  error?: Error;        // Network error that triggered the retry
+  idempotencyKey?: string;
+}
+
+export interface RetryOptions {
+  maxRetries?: number;       // Default: 2 (0 disables retries)
+  retryDelayMs?: number;     // Base delay, doubled per attempt (default: 500)
+  maxRetryDelayMs?: number;  // Backoff cap (default: 8000)
+  jitter?: boolean;          // Randomize delays by up to 50% (default: true)
+  onRetry?: (info: RetryInfo) => void;
+}
+
+// Extra context attached to errors raised from an API response
+export interface ErrorDetails {
+  requestId?: string;                // X-Request-ID response header
+  rawBody?: string;                  // Response body as received
+  headers?: Record<string, string>;  // Response headers
+  cause?: Error;                     // Underlying network error
+}
+
+// One entry of a FastAPI-style validation `detail` array
+export interface FieldError {
+  field: string;    // Dotted location, e.g. "options.avatar"
+  message: string;
+  type?: string;    // e.g. "value_error.missing"
+}
+
 export class VloexError extends Error {
   readonly statusCode?: number;
+  readonly requestId?: string;
+  readonly rawBody?: string;
+  readonly headers?: Record<string, string>;
+  readonly cause?: Error;
 
-  constructor(message: string, statusCode?: number) {
+  constructor(message: string, statusCode?: number, details: ErrorDetails = {}) {
     super(message);
     this.name = 'VloexError';
     this.statusCode = statusCode;
+    this.requestId = details.requestId;
+    this.rawBody = details.rawBody;
+    this.headers = details.headers;
+    this.cause = details.cause;
   }
 }
+
+// 401: missing, invalid or revoked API key
+export class AuthenticationError extends VloexError {
+  constructor(message: string, statusCode?: number, details?: ErrorDetails) {
+    super(message, statusCode, details);
+    this.name = 'AuthenticationError';
+  }
+}
+
+// 402: not enough credits or quota exceeded
+export class InsufficientCreditsError extends VloexError {
+  constructor(message: string, statusCode?: number, details?: ErrorDetails) {
+    super(message, statusCode, details);
+    this.name = 'InsufficientCreditsError';
+  }
+}
+
+// 400/404/422: bad parameters, with per-field errors when the API reports them
+export class InvalidRequestError extends VloexError {
+  readonly fieldErrors: FieldError[];
+
+  constructor(message: string, statusCode?: number, details?: ErrorDetails, fieldErrors: FieldError[] = []) {
+    super(message, statusCode, details);
+    this.name = 'InvalidRequestError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// 429: too many requests; retryAfter is in seconds when the API sends Retry-After
+export class RateLimitError extends VloexError {
+  readonly retryAfter?: number;
+
+  constructor(message: string, statusCode?: number, details?: ErrorDetails, retryAfter?: number) {
+    super(message, statusCode, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The request never got a response (DNS, refused or reset connection, ...)
+export class APIConnectionError extends VloexError {
+  constructor(message: string, details?: ErrorDetails) {
+    super(message, undefined, details);
+    this.name = 'APIConnectionError';
+  }
+}
+
+// The request got no response within the configured timeout
+export class TimeoutError extends APIConnectionError {
+  constructor(message: string, details?: ErrorDetails) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+export class VloexSignatureError extends VloexError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'VloexSignatureError';
+  }
+}
+
+export class VideoFailedError extends VloexError {
+  readonly video: Video;
+
+  constructor(video: Video) {
+    super(`Video ${video.id} failed: ${video.error || 'Unknown error'}`);
+    this.name = 'VideoFailedError';
+    this.video = video;
+  }
+}
+
+export class VideoCanceledError extends VloexError {
+  readonly video: Video;
+
+  constructor(video: Video) {
+    super(`Video ${video.id} was canceled`);
+    this.name = 'VideoCanceledError';
+    this.video = video;
+  }
+}
+
+export class VideoNotReadyError extends VloexError {
+  readonly video: Video;
+
+  constructor(video: Video) {
+    super(`Video ${video.id} is ${video.status}, not completed - nothing to download`);
+    this.name = 'VideoNotReadyError';
+    this.video = video;
+  }
+}
+
+// Thrown before submitting a job whose estimate would exceed ClientOptions.budget
+export class BudgetExceededError extends VloexError {
+  readonly estimate: CostEstimate;
+  readonly limit: number;       // The limit that would be exceeded
+  readonly scope: 'perCall' | 'total';
+  readonly spent: number;       // Spent and reserved before this job
+
+  constructor(estimate: CostEstimate, scope: 'perCall' | 'total', limit: number, spent: number) {
+    super(scope === 'perCall'
+      ? `Estimated cost ${formatUsd(estimate.cost)} exceeds the per-call budget of ${formatUsd(limit)}`
+      : `Estimated cost ${formatUsd(estimate.cost)} would bring spend to ${formatUsd(spent + estimate.cost)}, ` +
+        `over the budget of ${formatUsd(limit)}`);
+    this.name = 'BudgetExceededError';
+    this.estimate = estimate;
+    this.limit = limit;
+    this.scope = scope;
+    this.spent = spent;
+  }
+}
+
+export class WaitTimeoutError extends VloexError {
+  readonly video: Video;
+
+  constructor(video: Video, timeoutMs: number) {
+    super(`Video ${video.id} still ${video.status} after ${timeoutMs}ms`);
+    this.name = 'WaitTimeoutError';
+    this.video = video;
+  }
+}
+
+function formatUsd(amount: number): string {
+  return `$${amount.toFixed(2)}`;
+}
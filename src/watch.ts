@@ -0,0 +1,249 @@
+/**
+ * VLOEX Watch - follow many jobs through webhooks, with polling as the fallback
+ *
+ * Events: 'status' (every change), 'completed', 'failed', 'canceled',
+ * 'timeout' (jobs still pending at timeoutMs), 'error' (a poll failed; only
+ * emitted when listened to) and 'done' (every job finished, or the watch stopped).
+ *
+ * Usage:
+ *   const watcher = vloex.jobs.watch(ids)
+ *     .on('completed', video => publish(video.url))
+ *     .on('failed', video => alert(video.error));
+ *   const videos = await watcher.done;
+ *
+ *   for await (const { type, video } of vloex.jobs.watch(ids)) { }
+ */
+
+import { EventEmitter } from 'events';
+import { Video, WatchOptions, JobWatchEvent, WebhookEvent } from './types';
+import { mapWithConcurrency } from './batch';
+import {
+  DEFAULT_POLL_INTERVAL_MS,
+  DEFAULT_MAX_POLL_INTERVAL_MS,
+  DEFAULT_WAIT_TIMEOUT_MS,
+  DEFAULT_BATCH_CONCURRENCY,
+  isTerminal as isTerminalStatus
+} from './polling';
+
+const DEFAULT_FALLBACK_AFTER_MS = 2 * 60 * 1000;
+
+export interface WatchSource {
+  retrieve: (id: string, signal?: AbortSignal) => Promise<Video>;
+  subscribe: (listener: (event: WebhookEvent) => void) => () => void;  // Returns unsubscribe
+  hasReceiver: boolean;  // A webhook receiver feeds subscribe()
+}
+
+interface WatchedJob {
+  video: Video;
+  pollAt: number;
+  intervalMs: number;
+}
+
+export class JobWatcher extends EventEmitter implements AsyncIterable<JobWatchEvent> {
+  /**
+   * Resolves with every job's latest state once all are finished, or the watch stops
+   */
+  readonly done: Promise<Video[]>;
+
+  private jobs = new Map<string, WatchedJob>();
+  private options: Required<Omit<WatchOptions, 'signal'>> & Pick<WatchOptions, 'signal'>;
+  private source: WatchSource;
+  private timer?: NodeJS.Timeout;
+  private polling = false;
+  private stopped = false;
+  private deadline: number;
+  private unsubscribe: () => void;
+  private onAbort = () => this.close();
+  private resolveDone!: (videos: Video[]) => void;
+
+  // Async iteration: events not yet consumed, and a consumer waiting for the next one
+  private buffered: JobWatchEvent[] = [];
+  private waiting?: () => void;
+
+  constructor(ids: (string | Video)[], options: WatchOptions, source: WatchSource) {
+    super();
+    this.source = source;
+    this.options = {
+      fallbackAfterMs: options.fallbackAfterMs ?? (source.hasReceiver ? DEFAULT_FALLBACK_AFTER_MS : 0),
+      intervalMs: options.intervalMs ?? DEFAULT_POLL_INTERVAL_MS,
+      maxIntervalMs: options.maxIntervalMs ?? DEFAULT_MAX_POLL_INTERVAL_MS,
+      timeoutMs: options.timeoutMs ?? DEFAULT_WAIT_TIMEOUT_MS,
+      concurrency: options.concurrency ?? DEFAULT_BATCH_CONCURRENCY,
+      signal: options.signal
+    };
+    this.deadline = Date.now() + this.options.timeoutMs;
+    this.done = new Promise(resolve => {
+      this.resolveDone = resolve;
+    });
+
+    this.unsubscribe = source.subscribe(event => {
+      if (this.jobs.has(event.data.id)) {
+        this.update(event.data, 'webhook');
+      }
+    });
+    options.signal?.addEventListener('abort', this.onAbort, { once: true });
+
+    ids.forEach(id => this.add(id));
+
+    // Let listeners attach before anything is emitted
+    process.nextTick(() => {
+      if (options.signal?.aborted) {
+        this.close();
+      } else {
+        this.finishIfDone();
+        this.schedule();
+      }
+    });
+  }
+
+  /**
+   * Watch another job
+   */
+  add(idOrVideo: string | Video): this {
+    const video: Video = typeof idOrVideo === 'string' ? { id: idOrVideo, status: 'queued' } : { ...idOrVideo };
+    if (!this.stopped && !this.jobs.has(video.id)) {
+      this.jobs.set(video.id, {
+        video,
+        pollAt: Date.now() + this.options.fallbackAfterMs,
+        intervalMs: this.options.intervalMs
+      });
+      this.schedule();
+    }
+    return this;
+  }
+
+  /**
+   * Latest known state of every watched job
+   */
+  get videos(): Video[] {
+    return Array.from(this.jobs.values(), job => job.video);
+  }
+
+  /**
+   * Stop watching; jobs keep running server-side
+   */
+  close(): void {
+    if (this.stopped) {
+      return;
+    }
+    this.stopped = true;
+    clearTimeout(this.timer as NodeJS.Timeout);
+    this.unsubscribe();
+    this.options.signal?.removeEventListener('abort', this.onAbort);
+    this.emit('done', this.videos);
+    this.resolveDone(this.videos);
+    this.waiting?.();
+  }
+
+  async *[Symbol.asyncIterator](): AsyncIterator<JobWatchEvent> {
+    while (true) {
+      const event = this.buffered.shift();
+      if (event) {
+        yield event;
+        continue;
+      }
+      if (this.stopped) {
+        return;
+      }
+      await new Promise<void>(resolve => {
+        this.waiting = resolve;
+      });
+      this.waiting = undefined;
+    }
+  }
+
+  private update(video: Video, source: JobWatchEvent['source']): void {
+    const job = this.jobs.get(video.id);
+    if (!job || this.stopped || isTerminal(job.video)) {
+      return;
+    }
+
+    const changed = job.video.status !== video.status;
+    job.video = { ...job.video, ...withoutUndefined(video) };
+    if (!changed) {
+      return;
+    }
+
+    const type = isTerminal(job.video) ? job.video.status as JobWatchEvent['type'] : 'status';
+    this.emit('status', job.video);
+    if (type !== 'status') {
+      this.emit(type, job.video);
+    }
+    this.buffered.push({ type, video: job.video, source });
+    this.waiting?.();
+
+    // Heard from the job: push its next poll back
+    job.pollAt = Math.max(job.pollAt, Date.now() + this.options.fallbackAfterMs);
+    this.finishIfDone();
+  }
+
+  private finishIfDone(): void {
+    if (!this.stopped && this.videos.every(isTerminal)) {
+      this.close();
+    }
+  }
+
+  /**
+   * Sleep until the earliest poll (or the overall deadline)
+   */
+  private schedule(): void {
+    if (this.stopped || this.polling) {
+      return;
+    }
+
+    const pending = Array.from(this.jobs.values()).filter(job => !isTerminal(job.video));
+    if (pending.length === 0) {
+      return;
+    }
+
+    const next = Math.min(this.deadline, ...pending.map(job => job.pollAt));
+    clearTimeout(this.timer as NodeJS.Timeout);
+    this.timer = setTimeout(() => this.poll(), Math.max(0, next - Date.now()));
+  }
+
+  private async poll(): Promise<void> {
+    const now = Date.now();
+    const pending = Array.from(this.jobs.values()).filter(job => !isTerminal(job.video));
+
+    if (now >= this.deadline) {
+      this.emit('timeout', pending.map(job => job.video));
+      this.close();
+      return;
+    }
+
+    const due = pending.filter(job => job.pollAt <= now);
+    this.polling = true;
+    try {
+      await mapWithConcurrency(due, this.options.concurrency, async job => {
+        try {
+          const video = await this.source.retrieve(job.video.id, this.options.signal);
+          this.update(video, 'poll');
+        } catch (error) {
+          if (!this.stopped && this.listenerCount('error') > 0) {
+            this.emit('error', error);
+          }
+        }
+        job.pollAt = Date.now() + job.intervalMs;
+        job.intervalMs = Math.min(job.intervalMs * 1.5, this.options.maxIntervalMs);
+      }, () => this.stopped);
+    } finally {
+      this.polling = false;
+    }
+
+    this.schedule();
+  }
+}
+
+function isTerminal(video: Video): boolean {
+  return isTerminalStatus(video.status);
+}
+
+function withoutUndefined(video: Video): Partial<Video> {
+  const out: any = {};
+  for (const [key, value] of Object.entries(video)) {
+    if (value !== undefined) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,60 @@
+import Fastify from 'fastify';
+import { createWebhookMiddleware } from './webhook-middleware';
+import { generateTestHeader } from './webhooks';
+import { WebhookEvent } from './types';
+
+const SECRET = 'whsec_test';
+const payload = JSON.stringify({ event: 'video.completed', job_id: 'job_1', video_url: 'https://cdn.vloex.com/job_1.mp4' });
+
+function signedHeaders(body: string) {
+  const { signature, timestamp } = generateTestHeader({ payload: body, secret: SECRET });
+  return { 'content-type': 'application/json', 'x-vloex-signature': signature, 'x-vloex-timestamp': timestamp };
+}
+
+describe('middleware.fastify', () => {
+  it('verifies a signed JSON delivery against the raw body', async () => {
+    const events: WebhookEvent[] = [];
+    const webhooks = createWebhookMiddleware({ secret: SECRET, onEvent: event => { events.push(event); } });
+    const app = Fastify();
+    app.register(webhooks.fastify, { path: '/webhooks/vloex' });
+
+    try {
+      const response = await app.inject({ method: 'POST', url: '/webhooks/vloex', headers: signedHeaders(payload), payload });
+      expect(response.statusCode).toBe(200);
+      expect(response.json()).toEqual({ received: true });
+      expect(events).toEqual([expect.objectContaining({ type: 'video.completed', data: expect.objectContaining({ id: 'job_1' }) })]);
+    } finally {
+      await app.close();
+    }
+  });
+
+  it('rejects a tampered JSON delivery', async () => {
+    const app = Fastify();
+    app.register(createWebhookMiddleware({ secret: SECRET }).fastify, { path: '/webhooks/vloex' });
+
+    try {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/webhooks/vloex',
+        headers: signedHeaders(payload),
+        payload: payload.replace('job_1', 'job_2')
+      });
+      expect(response.statusCode).toBe(400);
+    } finally {
+      await app.close();
+    }
+  });
+
+  it('leaves JSON parsing alone outside the plugin', async () => {
+    const app = Fastify();
+    app.register(createWebhookMiddleware({ secret: SECRET }).fastify, { path: '/webhooks/vloex' });
+    app.post('/api', async request => request.body);
+
+    try {
+      const response = await app.inject({ method: 'POST', url: '/api', payload: { hello: 'world' } });
+      expect(response.json()).toEqual({ hello: 'world' });
+    } finally {
+      await app.close();
+    }
+  });
+});
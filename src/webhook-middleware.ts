@@ -0,0 +1,236 @@
+/**
+ * VLOEX Webhook Middleware - verified, deduplicated webhook receivers
+ *
+ * Works as Express/Connect middleware, a Fastify plugin, or a plain
+ * `http` request listener. The raw body is verified before anything parses it.
+ *
+ * Usage:
+ *   const webhooks = vloex.webhooks.middleware({ secret: process.env.VLOEX_WEBHOOK_SECRET })
+ *     .on('video.completed', event => publish(event.data.url))
+ *     .on('video.failed', event => alert(event.data.error));
+ *
+ *   app.post('/webhooks/vloex', webhooks);                          // Express / Connect
+ *   fastify.register(webhooks.fastify, { path: '/webhooks/vloex' }); // Fastify
+ *   http.createServer(webhooks).listen(3000);                        // Node http
+ */
+
+import {
+  WebhookEvent,
+  WebhookEventType,
+  WebhookHandler,
+  WebhookMiddlewareOptions,
+  WebhookResult,
+  DedupeStore,
+  VloexSignatureError
+} from './types';
+import { constructEvent } from './webhooks';
+
+const DEFAULT_DEDUPE_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_DEDUPE_MAX_ENTRIES = 10000;
+
+export interface WebhookMiddleware {
+  // Express / Connect middleware, or an http.createServer() listener
+  (req: any, res: any, next?: (error?: any) => void): Promise<void>;
+
+  /**
+   * Handle one event type; handlers run after onEvent, in registration order
+   */
+  on<T extends WebhookEventType>(type: T, handler: WebhookHandler<T>): WebhookMiddleware;
+
+  /**
+   * Framework-agnostic core: verify, dedupe and dispatch one delivery
+   */
+  handle(rawBody: string | Buffer, headers: Record<string, string | string[] | undefined>): Promise<WebhookResult>;
+
+  /**
+   * Fastify plugin: fastify.register(middleware.fastify, { path: '/webhooks/vloex' })
+   */
+  fastify: (instance: any, options: { path?: string }, done: (error?: Error) => void) => void;
+}
+
+/**
+ * Deduplicates in process memory; entries expire after `ttlSeconds`
+ */
+export class MemoryDedupeStore implements DedupeStore {
+  private seen = new Map<string, number>();
+  private ttlMs: number;
+  private maxEntries: number;
+
+  constructor(options: { ttlSeconds?: number; maxEntries?: number } = {}) {
+    this.ttlMs = (options.ttlSeconds ?? DEFAULT_DEDUPE_TTL_SECONDS) * 1000;
+    this.maxEntries = options.maxEntries ?? DEFAULT_DEDUPE_MAX_ENTRIES;
+  }
+
+  claim(key: string): boolean {
+    const now = Date.now();
+    const expiresAt = this.seen.get(key);
+    if (expiresAt !== undefined && expiresAt > now) {
+      return false;
+    }
+
+    // Map keeps insertion order: the first entries are the oldest
+    this.seen.delete(key);
+    while (this.seen.size >= this.maxEntries) {
+      this.seen.delete(this.seen.keys().next().value as string);
+    }
+    this.seen.set(key, now + this.ttlMs);
+    return true;
+  }
+
+  release(key: string): void {
+    this.seen.delete(key);
+  }
+}
+
+/**
+ * Create a webhook receiver
+ * @param options - secret, onEvent, store, toleranceSeconds
+ * @param onVerified - Internal: sees every verified, first-time delivery before handlers run
+ */
+export function createWebhookMiddleware(
+  options: WebhookMiddlewareOptions = {},
+  onVerified?: (event: WebhookEvent) => void
+): WebhookMiddleware {
+  const secret = options.secret || process.env.VLOEX_WEBHOOK_SECRET || '';
+  const store = options.store || new MemoryDedupeStore();
+  const handlers: { type: WebhookEventType; handler: WebhookHandler<any> }[] = [];
+
+  const handle = async (
+    rawBody: string | Buffer,
+    headers: Record<string, string | string[] | undefined>
+  ): Promise<WebhookResult> => {
+    let event: WebhookEvent;
+    try {
+      event = constructEvent(
+        rawBody,
+        headers['x-vloex-signature'],
+        headers['x-vloex-timestamp'],
+        secret,
+        { toleranceSeconds: options.toleranceSeconds }
+      );
+    } catch (error: any) {
+      // Bad signatures are rejected without retry; a missing secret is our misconfiguration
+      const status = secret && error instanceof VloexSignatureError ? 400 : 500;
+      return { status, body: { received: false, error: error.message } };
+    }
+
+    // One terminal event per job: the job ID and event type identify a delivery
+    const key = `${event.type}:${event.data.id}`;
+    let claimed: boolean;
+    try {
+      claimed = await store.claim(key);
+    } catch (error: any) {
+      // Unprocessed: 5xx makes VLOEX redeliver once the store is back
+      return { status: 500, body: { received: false, error: `Dedupe store failed: ${error.message}` }, event };
+    }
+    if (!claimed) {
+      return { status: 200, body: { received: true, duplicate: true }, event };
+    }
+
+    try {
+      onVerified?.(event);
+      if (options.onEvent) {
+        await options.onEvent(event);
+      }
+      for (const entry of handlers) {
+        if (entry.type === event.type) {
+          await entry.handler(event);
+        }
+      }
+    } catch (error: any) {
+      // 5xx makes VLOEX redeliver, so the delivery must not count as processed
+      try {
+        await store.release(key);
+      } catch (releaseError) {
+        // The redelivery will be acknowledged as a duplicate until the key expires
+      }
+      return { status: 500, body: { received: false, error: 'Webhook handler failed' }, event };
+    }
+
+    return { status: 200, body: { received: true }, event };
+  };
+
+  const middleware = (async (req: any, res: any, next?: (error?: any) => void) => {
+    if (req.method && req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return respond(res, { status: 405, body: { received: false, error: 'Method not allowed' } });
+    }
+
+    let rawBody: string | Buffer;
+    try {
+      rawBody = await readRawBody(req);
+    } catch (error: any) {
+      return respond(res, { status: 500, body: { received: false, error: error.message } });
+    }
+
+    let result: WebhookResult;
+    try {
+      result = await handle(rawBody, req.headers);
+    } catch (error: any) {
+      // Express/Connect error handlers get it; a bare http listener must still answer
+      if (next) {
+        return next(error);
+      }
+      return respond(res, { status: 500, body: { received: false, error: error.message } });
+    }
+    respond(res, result);
+  }) as WebhookMiddleware;
+
+  middleware.on = (type, handler) => {
+    handlers.push({ type, handler });
+    return middleware;
+  };
+
+  middleware.handle = handle;
+
+  // Registered without fastify-plugin, so the raw-body parsers only apply inside this plugin.
+  // The built-in JSON parser would hand over a parsed object, which can't be verified.
+  middleware.fastify = (instance, pluginOptions, done) => {
+    const rawBody = (_req: any, body: Buffer, next: any) => next(null, body);
+    instance.removeContentTypeParser('application/json');
+    instance.addContentTypeParser('application/json', { parseAs: 'buffer' }, rawBody);
+    instance.addContentTypeParser('*', { parseAs: 'buffer' }, rawBody);
+    instance.post(pluginOptions.path || '/', async (request: any, reply: any) => {
+      try {
+        const result = await handle(request.body || Buffer.alloc(0), request.headers);
+        reply.code(result.status).send(result.body);
+      } catch (error: any) {
+        reply.code(500).send({ received: false, error: error.message });
+      }
+    });
+    done();
+  };
+
+  return middleware;
+}
+
+/**
+ * The body exactly as sent. Accepts express.raw()/text() bodies and `req.rawBody`;
+ * otherwise reads the stream, which must not have been consumed by a JSON parser.
+ */
+async function readRawBody(req: any): Promise<string | Buffer> {
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+    return req.body;
+  }
+  if (Buffer.isBuffer(req.rawBody) || typeof req.rawBody === 'string') {
+    return req.rawBody;
+  }
+  if (req.body !== undefined && req.body !== null && Object.keys(req.body).length > 0) {
+    throw new Error(
+      'Webhook body was already parsed as JSON, so its signature cannot be verified. ' +
+      'Mount the webhook route before express.json(), or use express.raw({ type: "application/json" }).'
+    );
+  }
+
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+function respond(res: any, result: Pick<WebhookResult, 'status' | 'body'>): void {
+  res.statusCode = result.status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(result.body));
+}
@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import { constructEvent, generateTestHeader } from './webhooks';
+import { VloexSignatureError } from './types';
+
+const SECRET = 'whsec_test';
+const payload = JSON.stringify({ event: 'video.failed', job_id: 'job_1', error_message: 'Render failed' });
+
+describe('constructEvent', () => {
+  it('parses a correctly signed delivery', () => {
+    const { signature, timestamp } = generateTestHeader({ payload, secret: SECRET });
+
+    expect(constructEvent(payload, signature, timestamp, SECRET)).toEqual({
+      type: 'video.failed',
+      timestamp: Number(timestamp),
+      data: { id: 'job_1', status: 'failed', url: undefined, error: 'Render failed' }
+    });
+  });
+
+  it('accepts a Buffer body, a bare hex signature and array headers', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const hex = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${payload}`).digest('hex');
+
+    expect(constructEvent(Buffer.from(payload), [hex], [timestamp], SECRET).data.id).toBe('job_1');
+  });
+
+  it('rejects a tampered payload', () => {
+    const { signature, timestamp } = generateTestHeader({ payload, secret: SECRET });
+    const tampered = payload.replace('job_1', 'job_2');
+
+    expect(() => constructEvent(tampered, signature, timestamp, SECRET)).toThrow('Webhook signature does not match');
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const { signature, timestamp } = generateTestHeader({ payload, secret: 'whsec_other' });
+
+    expect(() => constructEvent(payload, signature, timestamp, SECRET)).toThrow(VloexSignatureError);
+  });
+
+  it('rejects a timestamp outside the tolerance window', () => {
+    const stale = Math.floor(Date.now() / 1000) - 301;
+    const { signature, timestamp } = generateTestHeader({ payload, secret: SECRET, timestamp: stale });
+
+    expect(() => constructEvent(payload, signature, timestamp, SECRET)).toThrow('outside the tolerance window');
+    expect(constructEvent(payload, signature, timestamp, SECRET, { toleranceSeconds: 600 }).data.id).toBe('job_1');
+    expect(constructEvent(payload, signature, timestamp, SECRET, { toleranceSeconds: 0 }).data.id).toBe('job_1');
+  });
+
+  it('rejects missing or malformed headers', () => {
+    const { signature, timestamp } = generateTestHeader({ payload, secret: SECRET });
+
+    expect(() => constructEvent(payload, undefined, timestamp, SECRET)).toThrow('Missing X-VLOEX-Signature header');
+    expect(() => constructEvent(payload, signature, undefined, SECRET)).toThrow('Missing or invalid X-VLOEX-Timestamp header');
+    expect(() => constructEvent(payload, signature, '12:00', SECRET)).toThrow('Missing or invalid X-VLOEX-Timestamp header');
+    expect(() => constructEvent(payload, 'sha256=not-hex', timestamp, SECRET)).toThrow('Webhook signature does not match');
+    expect(() => constructEvent(payload, signature, timestamp, '')).toThrow('Webhook secret required');
+  });
+
+  it('rejects a signed body that is not JSON', () => {
+    const { signature, timestamp } = generateTestHeader({ payload: 'not json', secret: SECRET });
+
+    expect(() => constructEvent('not json', signature, timestamp, SECRET)).toThrow('Webhook payload is not valid JSON');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * VLOEX Webhooks - signature verification and event parsing
+ *
+ * Usage:
+ *   const event = vloex.webhooks.constructEvent(
+ *     rawBody,
+ *     req.headers['x-vloex-signature'],
+ *     req.headers['x-vloex-timestamp'],
+ *     process.env.VLOEX_WEBHOOK_SECRET
+ *   );
+ *
+ *   if (event.type === 'video.completed') {
+ *     console.log(event.data.url);
+ *   }
+ */
+
+import crypto from 'crypto';
+import {
+  Video,
+  WebhookEvent,
+  ConstructEventOptions,
+  TestHeaderParams,
+  TestHeader,
+  VloexSignatureError
+} from './types';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const EVENT_STATUS: Record<string, Video['status']> = {
+  'video.completed': 'completed',
+  'video.failed': 'failed',
+  'video.canceled': 'canceled'
+};
+
+/**
+ * Compute the hex HMAC-SHA256 of `${timestamp}.${payload}`
+ */
+function computeSignature(payload: string, timestamp: string, secret: string): string {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+}
+
+/**
+ * Verify a webhook delivery and parse it into a typed event
+ * @param rawBody - Request body exactly as received (do not re-serialize parsed JSON)
+ * @param signatureHeader - X-VLOEX-Signature header (`sha256=<hex>` or bare hex)
+ * @param timestampHeader - X-VLOEX-Timestamp header (Unix seconds)
+ * @param secret - The webhookSecret passed to videos.create()
+ * @param options - toleranceSeconds for the replay window
+ * @returns Parsed webhook event
+ * @throws VloexSignatureError if the signature or timestamp is invalid
+ */
+export function constructEvent(
+  rawBody: string | Buffer,
+  signatureHeader: string | string[] | undefined,
+  timestampHeader: string | string[] | undefined,
+  secret: string,
+  options: ConstructEventOptions = {}
+): WebhookEvent {
+  if (!secret) {
+    throw new VloexSignatureError('Webhook secret required to verify signature');
+  }
+
+  const signature = Array.isArray(signatureHeader) ? signatureHeader[0] : signatureHeader;
+  const timestamp = Array.isArray(timestampHeader) ? timestampHeader[0] : timestampHeader;
+
+  if (!signature) {
+    throw new VloexSignatureError('Missing X-VLOEX-Signature header');
+  }
+
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    throw new VloexSignatureError('Missing or invalid X-VLOEX-Timestamp header');
+  }
+
+  // Reject stale deliveries (replay protection)
+  const tolerance = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+  const now = Math.floor(Date.now() / 1000);
+  if (tolerance > 0 && Math.abs(now - parseInt(timestamp, 10)) > tolerance) {
+    throw new VloexSignatureError('Webhook timestamp outside the tolerance window');
+  }
+
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+  const expected = Buffer.from(computeSignature(payload, timestamp, secret));
+  const provided = Buffer.from(signature.includes('=') ? signature.split('=')[1] : signature);
+
+  // Constant-time comparison prevents timing attacks
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new VloexSignatureError('Webhook signature does not match');
+  }
+
+  let data: any;
+  try {
+    data = JSON.parse(payload);
+  } catch (e) {
+    throw new VloexSignatureError('Webhook payload is not valid JSON');
+  }
+
+  return parseEvent(data, parseInt(timestamp, 10));
+}
+
+/**
+ * Transform a webhook payload to SDK format (same shape as Video)
+ */
+function parseEvent(data: any, timestamp: number): WebhookEvent {
+  const type = data.event;
+  const status = EVENT_STATUS[type] || data.status;
+
+  return {
+    type,
+    timestamp,
+    data: {
+      id: data.job_id || data.id,
+      status,
+      url: data.video_url || data.url,
+      error: data.error_message || data.error
+    }
+  } as WebhookEvent;
+}
+
+/**
+ * Generate signature headers for a payload, for testing webhook receivers offline
+ * @param params - payload, secret and optional timestamp
+ * @returns Values for the X-VLOEX-Signature and X-VLOEX-Timestamp headers
+ *
+ * Example:
+ *   const body = JSON.stringify({ event: 'video.completed', job_id: 'abc', video_url: 'https://...' });
+ *   const { signature, timestamp } = vloex.webhooks.generateTestHeader({ payload: body, secret: 'whsec' });
+ */
+export function generateTestHeader(params: TestHeaderParams): TestHeader {
+  const payload = typeof params.payload === 'string' ? params.payload : JSON.stringify(params.payload);
+  const timestamp = String(params.timestamp ?? Math.floor(Date.now() / 1000));
+
+  return {
+    signature: `sha256=${computeSignature(payload, timestamp, params.secret)}`,
+    timestamp
+  };
+}